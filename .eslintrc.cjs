@@ -0,0 +1,22 @@
+module.exports = {
+    root: true,
+    extends: 'eslint:recommended',
+    env: { node: true, es2022: true },
+    parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+    ignorePatterns: ['node_modules/', 'data/', 'cache/', 'artifacts/'],
+    rules: {
+        // Polling loops are written as while (true)
+        'no-constant-condition': ['error', { checkLoops: false }],
+        'no-unused-vars': ['error', { args: 'none' }]
+    },
+    overrides: [
+        {
+            files: ['*.cjs'],
+            parserOptions: { sourceType: 'script' }
+        },
+        {
+            files: ['tests/**'],
+            env: { mocha: true }
+        }
+    ]
+};
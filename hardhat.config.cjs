@@ -0,0 +1,10 @@
+// Hardhat runs the unit tests under tests/ with Mocha; the relayer ships no
+// contracts of its own, so there is nothing to compile
+module.exports = {
+    paths: {
+        tests: './tests'
+    },
+    mocha: {
+        timeout: 20000
+    }
+};
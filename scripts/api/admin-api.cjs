@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { PRIORITIES } = require('../relay/work-queue.cjs');
+const { matchesFilter, EVENT_STATUSES } = require('../relay/relay-events.cjs');
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+// Milliseconds an EventSource waits before reconnecting
+const RECONNECT_DELAY = 3000;
+
+function apiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Express 4 does not pass rejected promises on to the error handler
+function route(handler) {
+    return (req, res, next) => Promise.resolve().then(() => handler(req, res)).catch(next);
+}
+
+// Hashing both sides first keeps the comparison constant-time whatever the
+// length of the presented token
+function tokensMatch(presented, expected) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+function parseInteger(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    const number = typeof value === 'number' ? value : /^\d+$/.test(String(value)) ? Number(value) : NaN;
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw apiError(400, `${name} must be a whole number between ${min} and ${max}, got ${JSON.stringify(value)}`);
+    }
+    return number;
+}
+
+function checkHash(hash, name = 'hash') {
+    if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) {
+        throw apiError(400, `${name} must be a 32-byte 0x-prefixed transaction hash`);
+    }
+    return hash;
+}
+
+// Comma-separated query values, e.g. ?status=confirmed,failed
+function queryList(value) {
+    return [].concat(value || []).flatMap(each => String(each).split(',')).map(each => each.trim()).filter(Boolean);
+}
+
+// limit and offset from the query string, newest first
+function paginate(items, query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInteger(query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE });
+    const offset = query.offset === undefined ? 0 : parseInteger(query.offset, 'offset');
+    return { total: items.length, limit, offset, items: items.slice(offset, offset + limit) };
+}
+
+// Operator API for a running relay: lists relays from the RelayManager ledger
+// and transactions sent by MainnetRelay instances, and lets operators queue a
+// transaction for relay, backfill a block range and pause or resume
+// relaying. Relay lifecycle events are streamed from /api/events. Everything
+// except /health needs the bearer token.
+class AdminApi {
+    constructor(options = {}) {
+        if (!options.token) {
+            throw new Error('AdminApi needs a bearer token');
+        }
+        this.relayManager = options.relayManager || null;
+        this.mainnetRelays = [].concat(options.mainnetRelays || []);
+        this.token = options.token;
+        this.port = options.port || 0;
+        this.host = options.host || '127.0.0.1';
+        this.events = options.events || (this.relayManager ? this.relayManager.events : null);
+        this.heartbeatInterval = options.heartbeatInterval || 15000;
+        this.server = null;
+        // Open event streams and what ends each, called by stop()
+        this.streams = new Map();
+        // Backfills started through the API, by job ID
+        this.backfills = new Map();
+
+        this.app = express();
+        this.app.get('/health', (req, res) => res.json({ status: 'ok' }));
+        this.app.use('/api', (req, res, next) => this.authenticate(req, res, next));
+        this.app.use(express.json());
+
+        this.app.get('/api/status', route((req, res) => res.json(this.requireRelayManager().getStatus())));
+        this.app.get('/api/relays', route((req, res) => res.json(this.listRelays(req.query))));
+        this.app.get('/api/relays/:hash', route((req, res) => res.json(this.getRelay(req.params.hash))));
+        this.app.post('/api/relays', route(async (req, res) => res.status(202).json(await this.submitRelay(req.body || {}))));
+        this.app.get('/api/transactions', route((req, res) => res.json(this.listTransactions(req.query))));
+        this.app.get('/api/transactions/:hash', route((req, res) => res.json(this.getTransaction(req.params.hash))));
+        this.app.post('/api/backfill', route(async (req, res) => res.status(202).json(await this.startBackfill(req.body || {}))));
+        this.app.get('/api/backfill/:id', route((req, res) => res.json(this.getBackfill(req.params.id))));
+        this.app.get('/api/dead-letters', route((req, res) => res.json(this.listDeadLetters(req.query))));
+        this.app.post('/api/dead-letters/:id/retry', route((req, res) => res.status(202).json(this.retryDeadLetter(req.params.id))));
+        this.app.get('/api/events', route((req, res) => this.streamEvents(req, res)));
+        this.app.post('/api/pause', route((req, res) => {
+            this.requireRelayManager().pause();
+            res.json({ paused: true });
+        }));
+        this.app.post('/api/resume', route((req, res) => {
+            const relayManager = this.requireRelayManager();
+            relayManager.resume();
+            res.json({ paused: relayManager.isPaused() });
+        }));
+
+        this.app.use('/api', (req, res) => res.status(404).json({ error: `No route for ${req.method} ${req.path}` }));
+        this.app.use((error, req, res, next) => this.handleError(error, req, res, next));
+    }
+
+    get url() {
+        return this.server ? `http://${this.host}:${this.server.address().port}` : null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, this.host, () => {
+                console.log(`Admin API listening on ${this.url}`);
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        // The server only closes once every connection has ended; event
+        // streams never end on their own, and their keep-alive connections
+        // would linger after the response ends
+        for (const [res, close] of this.streams) {
+            const { socket } = res;
+            close();
+            res.end(() => socket.destroy());
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    authenticate(req, res, next) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+        if (!match || !tokensMatch(match[1], this.token)) {
+            res.set('WWW-Authenticate', 'Bearer realm="relay-admin"');
+            return res.status(401).json({ error: 'Missing or invalid bearer token' });
+        }
+        next();
+    }
+
+    handleError(error, req, res, next) {
+        if (res.headersSent) {
+            return next(error);
+        }
+        // Errors raised on purpose carry a status, as do malformed bodies
+        // rejected by express.json(); anything else is not shown to the caller
+        const status = error.status || error.statusCode;
+        if (!status) {
+            console.error(`! Admin API ${req.method} ${req.path} failed:`, error.message);
+            return res.status(500).json({ error: 'Internal error' });
+        }
+        res.status(status).json({ error: error.message });
+    }
+
+    requireRelayManager() {
+        if (!this.relayManager) {
+            throw apiError(503, 'No RelayManager is attached to this API');
+        }
+        return this.relayManager;
+    }
+
+    // Ledger entries filtered by status, target, source and verification status
+    listRelays(query) {
+        const entries = this.requireRelayManager().ledger.list({ status: query.status, target: query.target })
+            .filter(entry => !query.source || entry.source === query.source)
+            .filter(entry => !query.verification || (entry.verification && entry.verification.status === query.verification))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return paginate(entries, query);
+    }
+
+    // Every target's record of a source transaction, or the record a target
+    // transaction belongs to
+    getRelay(hash) {
+        checkHash(hash);
+        const ledger = this.requireRelayManager().ledger;
+        let records = ledger.forSource(hash);
+        if (records.length === 0) {
+            const lower = hash.toLowerCase();
+            records = ledger.list().filter(entry => entry.targetHash && entry.targetHash.toLowerCase() === lower);
+        }
+        if (records.length === 0) {
+            throw apiError(404, `No relay found for ${hash}`);
+        }
+        return { hash, records };
+    }
+
+    // Queues a source transaction for relay ahead of live blocks
+    async submitRelay(body) {
+        const relayManager = this.requireRelayManager();
+        const hash = checkHash(body.hash);
+        const source = this.connectedSource(relayManager, body.source);
+        const targets = body.targets === undefined ?
+            Array.from(relayManager.targets.keys()) :
+            [].concat(body.targets).map(name => this.lookup(() => relayManager.getTarget(name)).name);
+
+        const tx = await source.provider.getTransaction(hash);
+        if (!tx) {
+            throw apiError(404, `Transaction ${hash} not found on ${source.name}`);
+        }
+        const queued = await relayManager.enqueueRelay(hash, {
+            source: source.name,
+            blockNumber: tx.blockNumber ?? null,
+            priority: PRIORITIES.manual,
+            targets,
+            from: tx.from,
+            to: tx.to || null
+        });
+        console.log(`Relay of ${hash} from ${source.name} to ${targets.join(', ')} requested through the admin API`);
+        return {
+            hash,
+            source: source.name,
+            // queued is false where the relay was already waiting in the queue
+            targets: targets.map((target, index) => ({ target, queued: queued[index] }))
+        };
+    }
+
+    // Runs a backfill in the background; progress is read from GET /api/backfill/:id
+    async startBackfill(body) {
+        const relayManager = this.requireRelayManager();
+        const from = parseInteger(body.from, 'from');
+        const to = parseInteger(body.to, 'to');
+        if (to < from) {
+            throw apiError(400, `to (${to}) cannot be below from (${from})`);
+        }
+        const source = this.connectedSource(relayManager, body.source);
+        // Blocks above this could still be reorganised away
+        const confirmed = relayManager.confirmedBlockNumber(source, await source.provider.getBlockNumber());
+        if (to > confirmed) {
+            throw apiError(400, `to (${to}) is above ${source.name}'s last confirmed block ${confirmed} (head minus ${source.confirmations} confirmations)`);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            source: source.name,
+            from,
+            to,
+            status: 'running',
+            processed: 0,
+            total: to - from + 1,
+            error: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        this.backfills.set(job.id, job);
+        console.log(`Backfill of ${source.name} blocks ${from}-${to} requested through the admin API (job ${job.id})`);
+
+        relayManager.backfill(from, to, {
+            source: source.name,
+            onProgress: progress => {
+                job.processed = progress.processed;
+            }
+        }).then(() => {
+            job.status = 'completed';
+        }, error => {
+            console.error(`! Backfill job ${job.id} failed:`, error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        }).finally(() => {
+            job.finishedAt = new Date().toISOString();
+        });
+        return job;
+    }
+
+    getBackfill(id) {
+        const job = this.backfills.get(id);
+        if (!job) {
+            throw apiError(404, `No backfill job ${id}`);
+        }
+        return job;
+    }
+
+    // Dead-lettered relays waiting for an operator, or those with
+    // ?status=requeued, discarded or all
+    listDeadLetters(query) {
+        return paginate(this.requireRelayManager().listDeadLetters({ status: query.status }).reverse(), query);
+    }
+
+    // Relays a dead-lettered transaction again in the background
+    retryDeadLetter(id) {
+        const relayManager = this.requireRelayManager();
+        const entry = relayManager.deadLetters.get(id);
+        if (!entry) {
+            throw apiError(404, `No dead-letter entry ${id}`);
+        }
+        if (entry.status !== 'dead') {
+            throw apiError(409, `Dead-letter entry ${id} is already ${entry.status}`);
+        }
+        relayManager.requeueDeadLetter(id)
+            .catch(error => console.error(`! Retry of dead-lettered relay ${id} failed:`, error.message));
+        return { id, sourceHash: entry.sourceHash, target: entry.target, status: 'requeued' };
+    }
+
+    // Server-Sent Events stream of relay lifecycle events, optionally limited
+    // to some statuses (?status=confirmed,failed) and addresses
+    // (?address=0x…, matching the source sender or recipient or the relayer).
+    // Starts with events after the cursor given in Last-Event-ID or ?cursor=
+    // (0 replays every event still kept), otherwise with the next new one. A
+    // "missed" event first tells the client when events after its cursor
+    // have already been dropped.
+    streamEvents(req, res) {
+        if (!this.events) {
+            throw apiError(503, 'No relay event log is attached to this API');
+        }
+        const statuses = queryList(req.query.status);
+        const unknown = statuses.filter(status => !EVENT_STATUSES.includes(status));
+        if (unknown.length > 0) {
+            throw apiError(400, `Unknown event status ${unknown.join(', ')}, expected any of ${EVENT_STATUSES.join(', ')}`);
+        }
+        const addresses = queryList(req.query.address);
+        const invalid = addresses.filter(address => !ethers.utils.isAddress(address));
+        if (invalid.length > 0) {
+            throw apiError(400, `Invalid address ${invalid.join(', ')}`);
+        }
+        const filter = { statuses, addresses };
+        const cursorValue = req.get('last-event-id') ?? req.query.cursor;
+        const cursor = cursorValue === undefined ? null : parseInteger(cursorValue, 'cursor');
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'  // Keep proxies such as nginx from buffering the stream
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+        const send = event => res.write(`id: ${event.id}\nevent: relay\ndata: ${JSON.stringify(event)}\n\n`);
+        if (cursor !== null) {
+            const backlog = this.events.since(cursor, filter);
+            if (backlog.missed) {
+                res.write(`event: missed\ndata: ${JSON.stringify({ cursor, oldestId: this.events.oldestId })}\n\n`);
+            }
+            backlog.events.forEach(send);
+        }
+
+        const listener = event => {
+            if (matchesFilter(event, filter)) {
+                send(event);
+            }
+        };
+        this.events.on('event', listener);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+        const close = () => {
+            clearInterval(heartbeat);
+            this.events.off('event', listener);
+            this.streams.delete(res);
+        };
+        this.streams.set(res, close);
+        res.on('close', close);
+    }
+
+    // Transactions sent by the attached MainnetRelay instances, filtered by
+    // network, relayer and verification status
+    listTransactions(query) {
+        const transactions = this.allTransactions()
+            .filter(tx => !query.network || tx.network === query.network)
+            .filter(tx => !query.relayer || (tx.relayer && tx.relayer.toLowerCase() === query.relayer.toLowerCase()))
+            .filter(tx => !query.verification || (tx.verification && tx.verification.status === query.verification))
+            .sort((a, b) => b.timestamp - a.timestamp);
+        return paginate(transactions, query);
+    }
+
+    // By the relayed transaction's hash or the source hash it was sent for
+    getTransaction(hash) {
+        checkHash(hash);
+        const lower = hash.toLowerCase();
+        const tx = this.allTransactions().find(each => each.hash.toLowerCase() === lower ||
+            (each.sourceHash && each.sourceHash.toLowerCase() === lower));
+        if (!tx) {
+            throw apiError(404, `No relayed transaction found for ${hash}`);
+        }
+        return tx;
+    }
+
+    allTransactions() {
+        return this.mainnetRelays.flatMap(relay => relay.getAllTransactions().map(tx => ({ ...tx, network: relay.network.name })));
+    }
+
+    // Source chains are only read through their provider while connected
+    connectedSource(relayManager, name) {
+        const source = this.lookup(() => relayManager.getSource(name));
+        if (!source.connected || !source.provider) {
+            throw apiError(503, `Source chain ${source.name} is not connected`);
+        }
+        return source;
+    }
+
+    // Unknown source or target names are the caller's mistake
+    lookup(find) {
+        try {
+            return find();
+        } catch (error) {
+            if (error.code === 'UNKNOWN_SOURCE' || error.code === 'UNKNOWN_TARGET') {
+                throw apiError(400, error.message);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = { AdminApi };
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config/config-loader.cjs');
+
+const EXIT = {
+    ok: 0,
+    failed: 1,  // The command ran but did not succeed, e.g. a relay failed or an entry is unknown
+    usage: 2,
+    unavailable: 3,  // The relay service (or its metrics server) could not be reached
+    config: 4
+};
+
+const USAGE = `Usage: relay <command> [options]
+
+Commands:
+  start [--mock] [--dry-run]        Run the relay in the foreground until Ctrl+C
+  status                            State of the relay; read from disk when it is not running
+  relay <sourceTxHash> [--source <chain>] [--target <chain>]... [--wait]
+                                    Relay one source transaction to every (or the given) target
+  backfill --from <block> --to <block> [--source <chain>] [--wait]
+                                    Relay every transaction in a block range
+  dlq list [--status dead|requeued|discarded|all]
+                                    Dead-lettered relays; read from disk when the relay is not running
+  dlq retry <id>                    Relay a dead-lettered transaction again
+  metrics [--all]                   Prometheus metrics of the running relay (--all adds process metrics)
+
+Options:
+  --json                 Machine-readable output
+  --wait                 Wait for relays or a backfill to finish (up to --timeout ms, default 300000)
+  --profile <name>       Configuration profile (dev, staging, prod)
+  --set <path>=<value>   Override a setting, e.g. --set confirmations.depth=12
+  -h, --help             Show this help
+
+Commands other than start reach the running relay through its admin API
+(ADMIN_API_ENABLED=true and ADMIN_API_TOKEN in both places).
+
+Exit codes: 0 success, 1 command failed, 2 usage error, 3 relay not reachable,
+4 invalid configuration`;
+
+const BOOLEAN_FLAGS = ['json', 'mock', 'dry-run', 'wait', 'all', 'help'];
+const VALUE_FLAGS = ['from', 'to', 'source', 'target', 'status', 'timeout', 'profile', 'set'];
+const POLL_INTERVAL = 2000;
+
+// Only loaded by the commands that run a RelayManager in this process
+const relayManagerClass = () => require('../relay/relay-manager.cjs');
+
+function fail(message, exitCode = EXIT.failed) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+// Command words and --flags; --target may be repeated. --profile and --set
+// are accepted here but read by the config loader.
+function parseCommandLine(argv) {
+    const positional = [];
+    const flags = { target: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            flags.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const separator = arg.indexOf('=');
+        const name = separator > 0 ? arg.slice(2, separator) : arg.slice(2);
+        const inline = separator > 0 ? arg.slice(separator + 1) : null;
+        const key = name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        if (BOOLEAN_FLAGS.includes(name)) {
+            if (inline !== null) {
+                throw fail(`--${name} does not take a value`, EXIT.usage);
+            }
+            flags[key] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = inline !== null ? inline : argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw fail(`--${name} needs a value`, EXIT.usage);
+            }
+            if (name === 'target') {
+                flags.target.push(value);
+            } else {
+                flags[key] = value;
+            }
+        } else {
+            throw fail(`Unknown option --${name}`, EXIT.usage);
+        }
+    }
+    return { positional, flags };
+}
+
+function parseBlock(value, name) {
+    if (value === undefined) {
+        throw fail(`--${name} is required`, EXIT.usage);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw fail(`--${name} must be a block number, got "${value}"`, EXIT.usage);
+    }
+    return Number(value);
+}
+
+function timeoutOf(flags) {
+    if (flags.timeout === undefined) return 300000;
+    if (!/^\d+$/.test(flags.timeout)) {
+        throw fail(`--timeout must be a number of milliseconds, got "${flags.timeout}"`, EXIT.usage);
+    }
+    return Number(flags.timeout);
+}
+
+const sleep = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+// The running relay's admin API
+class ApiClient {
+    constructor(api) {
+        // A service listening on every interface is reached locally
+        const host = ['0.0.0.0', '::'].includes(api.host) ? '127.0.0.1' : api.host;
+        this.baseUrl = `http://${host}:${api.port}`;
+        this.enabled = api.enabled;
+        this.token = api.token;
+    }
+
+    // False when the configuration says there is no API to talk to
+    get configured() {
+        return this.enabled && !!this.token;
+    }
+
+    async request(method, urlPath, body) {
+        if (!this.configured) {
+            throw fail('The relay is reached through its admin API; set ADMIN_API_ENABLED=true and ADMIN_API_TOKEN', EXIT.config);
+        }
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${urlPath}`, {
+                method,
+                headers: { authorization: `Bearer ${this.token}`, 'content-type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(10000)
+            });
+        } catch (error) {
+            const reason = error.cause && error.cause.code ? error.cause.code : error.message;
+            throw fail(`Relay not reachable at ${this.baseUrl} (${reason}); is it running?`, EXIT.unavailable);
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const error = fail(data && data.error ? data.error : `${method} ${urlPath} failed with HTTP ${response.status}`,
+                response.status === 400 ? EXIT.usage : response.status === 401 ? EXIT.config : EXIT.failed);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+}
+
+// JSON for --json, the human-readable rendering otherwise
+function output(flags, data, render) {
+    if (flags.json) {
+        console.log(JSON.stringify(data, null, 2));
+    } else {
+        render(data);
+    }
+}
+
+function describeCounts(counts) {
+    const entries = Object.entries(counts);
+    return entries.length > 0 ? entries.map(([name, count]) => `${name} ${count}`).join(', ') : 'none';
+}
+
+// Copy of the relay state for a dry run to write to, so the real checkpoint
+// and ledger stay untouched
+function dryRunDataDir(dataDir) {
+    const copy = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-dry-run-'));
+    if (fs.existsSync(dataDir)) {
+        fs.cpSync(dataDir, copy, { recursive: true });
+    }
+    return copy;
+}
+
+async function start({ flags, config }) {
+    if (flags.dryRun) {
+        const dataDir = dryRunDataDir(config.storage.dataDir);
+        console.log(`Dry run: nothing is signed or sent, and relay state goes to ${dataDir} instead of ${config.storage.dataDir}`);
+        config = { ...config, storage: { ...config.storage, dataDir } };
+    }
+
+    let metricsCollector = null;
+    if (config.metrics.enabled) {
+        const { MetricsCollector } = await import('../monitoring/metrics.js');
+        metricsCollector = new MetricsCollector(config.metrics.port);
+    }
+    const RelayManager = relayManagerClass();
+    const { AdminApi } = require('../api/admin-api.cjs');
+    const relayManager = new RelayManager(config, { metricsCollector, dryRun: flags.dryRun });
+    const api = config.api.enabled ?
+        new AdminApi({ relayManager, ...config.api, heartbeatInterval: config.events.heartbeatInterval }) :
+        null;
+
+    await relayManager.initialize();
+    if (api) {
+        await api.start();
+    }
+    console.log(`✓ Relay running${flags.dryRun ? ' (dry run)' : ''}, press Ctrl+C to stop`);
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    console.log('Stopping relay...');
+    if (api) {
+        await api.stop();
+    }
+    await relayManager.stop();
+    if (metricsCollector) {
+        await metricsCollector.shutdown();
+    }
+    return EXIT.ok;
+}
+
+async function status({ flags, config, client }) {
+    let state = null;
+    if (client.configured) {
+        try {
+            state = { running: true, ...await client.request('GET', '/api/status') };
+        } catch (error) {
+            if (error.exitCode !== EXIT.unavailable) throw error;
+        }
+    }
+    if (!state) {
+        const RelayManager = relayManagerClass();
+        state = { running: false, ...new RelayManager(config).getStatus() };
+    }
+
+    output(flags, state, () => {
+        console.log(state.running ?
+            `Relay: running (${client.baseUrl})${state.dryRun ? ', dry run' : ''}` :
+            `Relay: not running, state read from ${config.storage.dataDir}`);
+        if (state.running) {
+            const relaying = !state.paused ? 'active' : state.manuallyPaused ? 'paused by operator' : 'paused, spending budgets used up';
+            console.log(`Relaying: ${relaying}`);
+            console.log(`Since start: ${state.transactions} sent, ${state.successful} successful, ${state.failed} failed, ${state.skipped} skipped, ${state.retries} retries`);
+        }
+        console.log(`Queue: ${state.queueDepth} relay(s) waiting`);
+        console.log(`Ledger: ${describeCounts(state.relays)}`);
+        console.log(`Dead letters: ${state.deadLetters}`);
+        console.log('Sources:');
+        for (const [name, source] of Object.entries(state.sources)) {
+            const position = source.lastProcessedBlock === null ? 'no block processed yet' : `processed up to block ${source.lastProcessedBlock}`;
+            const head = source.latestSeenBlock === null ? '' : `, head ${source.latestSeenBlock}`;
+            console.log(`  ${name} (chain ${source.chainId}): ${state.running ? (source.connected ? 'connected, ' : 'disconnected, ') : ''}${position}${head}`);
+        }
+        console.log('Targets:');
+        for (const [name, target] of Object.entries(state.targets)) {
+            const verifications = target.verifications ? `, explorer ${describeCounts(target.verifications)}` : '';
+            console.log(`  ${name} (chain ${target.chainId}): ${state.running ? (target.connected ? 'connected, ' : 'disconnected, ') : ''}${target.paused ? 'budget used up' : 'budget available'}${verifications}`);
+        }
+    });
+    return EXIT.ok;
+}
+
+// A record is final once it is confirmed or skipped, or failed without
+// another retry coming
+function isSettled(record) {
+    if (record.status === 'confirmed' || record.status === 'skipped') return true;
+    const decisions = record.retryDecisions || [];
+    return record.status === 'failed' && decisions.length > 0 && !decisions[decisions.length - 1].retry;
+}
+
+async function relay({ args, flags, client }) {
+    const [hash] = args;
+    if (!hash) {
+        throw fail('relay needs a source transaction hash', EXIT.usage);
+    }
+    const body = { hash, source: flags.source };
+    if (flags.target.length > 0) {
+        body.targets = flags.target;
+    }
+    const submitted = await client.request('POST', '/api/relays', body);
+    if (!flags.wait) {
+        output(flags, submitted, () => {
+            for (const { target, queued } of submitted.targets) {
+                console.log(`${queued ? '✓ Queued' : 'Already queued:'} relay of ${hash} from ${submitted.source} to ${target}`);
+            }
+        });
+        return EXIT.ok;
+    }
+
+    const targets = submitted.targets.map(each => each.target);
+    const deadline = Date.now() + timeoutOf(flags);
+    let records = [];
+    while (true) {
+        try {
+            records = (await client.request('GET', `/api/relays/${hash}`)).records.filter(record => targets.includes(record.target));
+        } catch (error) {
+            // No ledger entry until the relay has been picked off the queue
+            if (error.status !== 404) throw error;
+        }
+        const settled = records.filter(isSettled);
+        if (settled.length === targets.length || Date.now() >= deadline) break;
+        await sleep(POLL_INTERVAL);
+    }
+
+    const result = {
+        hash,
+        source: submitted.source,
+        targets: targets.map(target => records.find(record => record.target === target) || { target, status: 'queued' })
+    };
+    const succeeded = result.targets.every(record => record.status === 'confirmed' || record.status === 'skipped');
+    output(flags, result, () => {
+        for (const record of result.targets) {
+            const detail = record.status === 'confirmed' ? ` as ${record.targetHash} in block ${record.targetBlockNumber}` :
+                record.status === 'failed' ? `: ${record.lastError}` : '';
+            const settled = isSettled(record) ? '' : ' (still in progress)';
+            console.log(`${record.status === 'confirmed' ? '✓' : '!'} ${record.target}: ${record.status}${detail}${settled}`);
+        }
+    });
+    return succeeded ? EXIT.ok : EXIT.failed;
+}
+
+async function backfill({ flags, client }) {
+    const from = parseBlock(flags.from, 'from');
+    const to = parseBlock(flags.to, 'to');
+    let job = await client.request('POST', '/api/backfill', { from, to, source: flags.source });
+    if (flags.wait) {
+        const deadline = Date.now() + timeoutOf(flags);
+        while (job.status === 'running' && Date.now() < deadline) {
+            await sleep(POLL_INTERVAL);
+            job = await client.request('GET', `/api/backfill/${job.id}`);
+        }
+    }
+    output(flags, job, () => {
+        const range = `${job.source} blocks ${job.from}-${job.to}`;
+        if (job.status === 'running') {
+            console.log(`Backfill of ${range} ${flags.wait ? 'still running' : 'started'} (job ${job.id}, ${job.processed}/${job.total} blocks)`);
+        } else if (job.status === 'completed') {
+            console.log(`✓ Backfill of ${range} completed, ${job.processed} block(s) queued for relay`);
+        } else {
+            console.log(`! Backfill of ${range} failed after ${job.processed} block(s): ${job.error}`);
+        }
+    });
+    return job.status === 'failed' || (flags.wait && job.status === 'running') ? EXIT.failed : EXIT.ok;
+}
+
+async function dlq({ args, flags, config, client }) {
+    const [action, id] = args;
+    if (action === 'list') {
+        let entries = null;
+        if (client.configured) {
+            try {
+                const query = `?limit=500${flags.status ? `&status=${encodeURIComponent(flags.status)}` : ''}`;
+                entries = (await client.request('GET', `/api/dead-letters${query}`)).items;
+            } catch (error) {
+                if (error.exitCode !== EXIT.unavailable) throw error;
+            }
+        }
+        if (!entries) {
+            const RelayManager = relayManagerClass();
+            entries = new RelayManager(config).listDeadLetters({ status: flags.status }).reverse();
+        }
+        output(flags, entries, () => {
+            if (entries.length === 0) {
+                console.log('No dead-lettered relays');
+            }
+            for (const entry of entries) {
+                console.log(`${entry.id}  ${entry.status}  ${entry.updatedAt}  dead-lettered ${entry.deadLetterCount}x: ${entry.lastError}`);
+            }
+        });
+        return EXIT.ok;
+    }
+    if (action === 'retry') {
+        if (!id) {
+            throw fail('dlq retry needs the id of a dead-letter entry (see relay dlq list)', EXIT.usage);
+        }
+        const result = await client.request('POST', `/api/dead-letters/${encodeURIComponent(id)}/retry`);
+        output(flags, result, () => console.log(`✓ Relaying ${result.sourceHash} to ${result.target} again`));
+        return EXIT.ok;
+    }
+    throw fail(`Unknown dlq action "${action || ''}", expected list or retry`, EXIT.usage);
+}
+
+// One sample of the Prometheus text format: name{label="value",...} value
+function parseSample(line) {
+    const match = /^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/.exec(line);
+    if (!match) return null;
+    const labels = {};
+    for (const [, name, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+        labels[name] = value;
+    }
+    return { name: match[1], labels, value: Number(match[3]) };
+}
+
+async function metrics({ flags, config }) {
+    const url = `http://127.0.0.1:${config.metrics.port}/metrics`;
+    let text;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+        if (!response.ok) {
+            throw fail(`Metrics server answered HTTP ${response.status}`);
+        }
+        text = await response.text();
+    } catch (error) {
+        if (error.exitCode) throw error;
+        throw fail(`Metrics server not reachable at ${url}; is the relay running with METRICS_ENABLED=true?`, EXIT.unavailable);
+    }
+
+    // Process and Node.js runtime metrics only with --all
+    const lines = text.split('\n').filter(line => line && !line.startsWith('#'))
+        .filter(line => flags.all || line.startsWith('defi_oracle_'));
+    output(flags, lines.map(parseSample).filter(Boolean), () => lines.forEach(line => console.log(line)));
+    return EXIT.ok;
+}
+
+const COMMANDS = { start, status, relay, backfill, dlq, metrics };
+
+async function main(argv) {
+    const { positional, flags } = parseCommandLine(argv);
+    const [command, ...args] = positional;
+    if (!command || flags.help) {
+        console.log(USAGE);
+        return command || flags.help ? EXIT.ok : EXIT.usage;
+    }
+    const handler = COMMANDS[command];
+    if (!handler) {
+        throw fail(`Unknown command "${command}"`, EXIT.usage);
+    }
+    // --mock wins over the profile and the environment
+    const config = loadConfig({ argv: flags.mock ? [...argv, '--set', 'mock.enabled=true'] : argv });
+    return handler({ args, flags, config, client: new ApiClient(config.api) });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code), error => {
+        if (error instanceof ConfigError) {
+            console.error(error.message);
+            process.exit(EXIT.config);
+        }
+        console.error(`relay: ${error.message}`);
+        if (error.exitCode === EXIT.usage) {
+            console.error("Run 'relay --help' for usage.");
+        }
+        process.exit(error.exitCode || EXIT.failed);
+    });
+}
+
+module.exports = { main, EXIT };
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { ethers } = require('ethers');
+const defaults = require('./defaults.cjs');
+const { SCHEMA, CROSS_CHECKS, OPEN_SECTIONS } = require('./config-schema.cjs');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE = 'dev';
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (node[key] === null || typeof node[key] !== 'object' || Array.isArray(node[key])) {
+            node[key] = {};
+        }
+        return node[key];
+    }, object);
+    parent[last] = value;
+}
+
+// Leaf paths of a plain object; arrays count as leaves
+function leafPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        return value !== null && typeof value === 'object' && !Array.isArray(value) ? leafPaths(value, keyPath) : [keyPath];
+    });
+}
+
+function isKnownPath(keyPath) {
+    return SCHEMA[keyPath] !== undefined ||
+        getPath(defaults, keyPath) !== undefined ||
+        OPEN_SECTIONS.some(section => keyPath.startsWith(`${section}.`));
+}
+
+// Turns a raw value (often a string from the environment or the command
+// line) into the setting's type; throws with a message naming what was wrong
+function coerce(spec, raw) {
+    if (raw === null || raw === undefined || raw === '') {
+        if (spec.nullable) return null;
+        throw new Error('is required');
+    }
+    const text = String(raw).trim();
+
+    switch (spec.type) {
+        case 'string':
+            return text;
+        case 'url': {
+            if (text.includes('${') || /YOUR_[A-Z_]+/.test(text)) {
+                throw new Error(`contains an unfilled placeholder: ${text}`);
+            }
+            let url;
+            try {
+                url = new URL(text);
+            } catch (error) {
+                throw new Error(`must be a URL, got "${text}"`);
+            }
+            if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+                throw new Error(`must be an http(s) or ws(s) URL, got "${text}"`);
+            }
+            return text;
+        }
+        case 'urls': {
+            const items = Array.isArray(raw) ? raw.map(String) : text.split(',');
+            const list = items.map(item => item.trim()).filter(Boolean);
+            if (list.length === 0) {
+                throw new Error('must name at least one URL');
+            }
+            return list.map(item => coerce({ type: 'url' }, item));
+        }
+        case 'integer': {
+            if (typeof raw !== 'number' && !/^-?\d+$/.test(text)) {
+                throw new Error(`must be a whole number, got "${text}"`);
+            }
+            const value = Number(text);
+            if (!Number.isInteger(value)) {
+                throw new Error(`must be a whole number, got "${text}"`);
+            }
+            return checkRange(spec, value);
+        }
+        case 'number': {
+            const value = Number(text);
+            if (!Number.isFinite(value)) {
+                throw new Error(`must be a number, got "${text}"`);
+            }
+            return checkRange(spec, value);
+        }
+        case 'boolean':
+            if (typeof raw === 'boolean') return raw;
+            if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true;
+            if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false;
+            throw new Error(`must be true or false, got "${text}"`);
+        case 'enum':
+            if (!spec.values.includes(text)) {
+                throw new Error(`must be one of ${spec.values.join(', ')}, got "${text}"`);
+            }
+            return text;
+        case 'ether':
+        case 'gwei': {
+            let value;
+            try {
+                value = ethers.utils.parseUnits(text, spec.type);
+            } catch (error) {
+                throw new Error(`must be an amount in ${spec.type === 'ether' ? 'ETH' : 'gwei'}, got "${text}"`);
+            }
+            if (value.isNegative()) {
+                throw new Error(`cannot be negative, got "${text}"`);
+            }
+            return text;
+        }
+        case 'list': {
+            const items = Array.isArray(raw) ? raw.map(String) : text.split(',');
+            const list = items.map(item => item.trim()).filter(Boolean);
+            if (list.length === 0) {
+                throw new Error('must name at least one entry');
+            }
+            return list;
+        }
+        case 'address':
+            if (!ethers.utils.isAddress(text)) {
+                throw new Error(`must be an Ethereum address, got "${text}"`);
+            }
+            return ethers.utils.getAddress(text);
+        default:
+            throw new Error(`has unknown schema type ${spec.type}`);
+    }
+}
+
+function checkRange(spec, value) {
+    if (spec.min !== undefined && value < spec.min) {
+        throw new Error(`must be at least ${spec.min}, got ${value}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        throw new Error(`must be at most ${spec.max}, got ${value}`);
+    }
+    return value;
+}
+
+// --profile <name> and repeatable --set <path>=<value>; anything else is
+// left for the calling script
+function parseArgs(argv) {
+    const result = { profile: null, sets: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.startsWith('--') && arg.includes('=') ?
+            [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] :
+            [arg, null];
+        if (flag !== '--profile' && flag !== '--set') continue;
+
+        const value = inline !== null ? inline : argv[++i];
+        if (value === undefined) {
+            throw new ConfigError([`${flag} needs a value`]);
+        }
+        if (flag === '--profile') {
+            result.profile = value;
+        } else {
+            result.sets.push(value);
+        }
+    }
+    return result;
+}
+
+function readProfile(name) {
+    const file = path.join(PROFILES_DIR, `${name}.json`);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) {
+        const available = fs.readdirSync(PROFILES_DIR).filter(entry => entry.endsWith('.json')).map(entry => entry.slice(0, -5));
+        throw new ConfigError([`unknown profile "${name}", expected one of ${available.join(', ')}`]);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`profile ${file} is not valid JSON: ${error.message}`]);
+    }
+}
+
+// Builds the configuration from, in increasing order of precedence: the
+// built-in defaults, the profile (dev, staging or prod), environment
+// variables (including .env) and --profile / --set in options.argv, the
+// command line an entry point passes on.
+// Every problem found is reported at once in a single ConfigError.
+function loadConfig(options = {}) {
+    const env = options.env || (dotenv.config(), process.env);
+    const args = parseArgs(options.argv || []);
+    const profile = options.profile || args.profile || env.RELAY_PROFILE || DEFAULT_PROFILE;
+
+    const config = JSON.parse(JSON.stringify(defaults));
+    const sources = {};
+    const problems = [];
+    const warnings = [];
+
+    // Profile
+    const profileValues = readProfile(profile);
+    for (const keyPath of leafPaths(profileValues)) {
+        if (!isKnownPath(keyPath)) {
+            problems.push(`${keyPath}: unknown setting in profile ${profile}`);
+            continue;
+        }
+        setPath(config, keyPath, getPath(profileValues, keyPath));
+        sources[keyPath] = `profile ${profile}`;
+    }
+
+    // Environment
+    for (const [keyPath, spec] of Object.entries(SCHEMA)) {
+        if (!spec.env) continue;
+        let name = spec.env;
+        if (env[name] === undefined || env[name] === '') {
+            name = (spec.aliases || []).find(alias => env[alias] !== undefined && env[alias] !== '');
+            if (!name) continue;
+            warnings.push(`${name} is deprecated, use ${spec.env} instead`);
+        }
+        setPath(config, keyPath, env[name]);
+        sources[keyPath] = `env ${name}`;
+    }
+    // Infura only needs the project key; build the URL from it
+    if (!sources['ethereum.rpc'] && env.INFURA_KEY) {
+        setPath(config, 'ethereum.rpc', `https://mainnet.infura.io/v3/${env.INFURA_KEY}`);
+        sources['ethereum.rpc'] = 'env INFURA_KEY';
+    }
+
+    // Command line
+    for (const assignment of args.sets) {
+        const separator = assignment.indexOf('=');
+        const keyPath = separator > 0 ? assignment.slice(0, separator) : null;
+        if (!keyPath) {
+            problems.push(`--set ${assignment}: expected <path>=<value>`);
+        } else if (!SCHEMA[keyPath]) {
+            problems.push(`--set ${keyPath}: unknown setting`);
+        } else {
+            setPath(config, keyPath, assignment.slice(separator + 1));
+            sources[keyPath] = '--set';
+        }
+    }
+
+    // Types and ranges
+    for (const [keyPath, spec] of Object.entries(SCHEMA)) {
+        const raw = getPath(config, keyPath);
+        try {
+            const value = coerce({ ...spec, nullable: spec.nullable && !spec.required }, raw);
+            setPath(config, keyPath, value);
+        } catch (error) {
+            const origin = sources[keyPath] ? ` (from ${sources[keyPath]})` : spec.env ? ` (set ${spec.env})` : '';
+            const message = spec.secret && raw ? error.message.replace(String(raw).trim(), '<hidden>') : error.message;
+            problems.push(`${keyPath}: ${message}${origin}`);
+        }
+    }
+
+    config.profile = profile;
+    if (problems.length === 0) {
+        for (const check of CROSS_CHECKS) {
+            const problem = check(config);
+            if (problem) problems.push(...[].concat(problem));
+        }
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    warnings.forEach(warning => console.warn(`! ${warning}`));
+    return config;
+}
+
+module.exports = { loadConfig, ConfigError, parseArgs, coerce };
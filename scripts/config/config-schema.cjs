@@ -0,0 +1,261 @@
+// Every setting that can be changed through a profile, an environment
+// variable or a --set override, keyed by its path in the config object.
+//
+//   type      string, url, urls, integer, number, boolean, enum, ether, gwei,
+//             address or list (urls and lists are comma-separated in the environment)
+//   env       environment variable that sets it
+//   aliases   older environment variable names still accepted, with a warning
+//   nullable  null (or an empty value) is allowed
+//   required  must have a value after all sources are merged
+//   min/max   bounds for integers and numbers
+//   values    allowed values for enums
+//   secret    the value is never echoed in error messages
+const SCHEMA = {
+    'mock.enabled': { type: 'boolean', env: 'MOCK_ENABLED' },
+    'mock.blockTime': { type: 'integer', min: 100 },
+
+    'mainnet.rpc': { type: 'urls', env: 'MAINNET_RPC_URL', required: true },
+    'mainnet.ws': { type: 'urls', env: 'MAINNET_WS_URL', required: true },
+    'mainnet.chainId': { type: 'integer', min: 1 },
+    'mainnet.explorers.blockscout': { type: 'url' },
+    'mainnet.explorers.quorum': { type: 'url' },
+
+    'ethereum.rpc': { type: 'urls', env: 'ETHEREUM_RPC_URL', aliases: ['ETH_MAINNET_RPC', 'ETHEREUM_NODE_URL'], required: true },
+    'ethereum.chainId': { type: 'integer', min: 1 },
+    'ethereum.etherscan.baseUrl': { type: 'url', env: 'ETHERSCAN_API_URL' },
+    'ethereum.etherscan.apiKey': { type: 'string', env: 'ETHERSCAN_API_KEY', nullable: true },
+
+    'sources.enabled': { type: 'list', env: 'RELAY_SOURCES' },
+
+    'targets.enabled': { type: 'list', env: 'RELAY_TARGETS' },
+    'targets.networks.sepolia.rpc': { type: 'urls', env: 'SEPOLIA_RPC_URL' },
+    'targets.networks.polygon.rpc': { type: 'urls', env: 'POLYGON_RPC_URL' },
+    'targets.networks.arbitrum.rpc': { type: 'urls', env: 'ARBITRUM_RPC_URL' },
+
+    'rpc.quorum': { type: 'integer', env: 'RPC_QUORUM', min: 1, max: 10 },
+    'rpc.requestTimeout': { type: 'integer', env: 'RPC_REQUEST_TIMEOUT', min: 100 },
+    'rpc.maxFailures': { type: 'integer', env: 'RPC_MAX_FAILURES', min: 1 },
+    'rpc.cooldown': { type: 'integer', env: 'RPC_COOLDOWN', min: 1000 },
+    'rpc.healthCheckInterval': { type: 'integer', env: 'RPC_HEALTH_CHECK_INTERVAL', min: 1000 },
+
+    'verification.enabled': { type: 'boolean', env: 'ETHERSCAN_VERIFY' },
+    'verification.maxAttempts': { type: 'integer', env: 'ETHERSCAN_VERIFY_ATTEMPTS', min: 1, max: 100 },
+    'verification.baseDelay': { type: 'integer', min: 0 },
+    'verification.maxDelay': { type: 'integer', min: 0 },
+    'verification.rateLimit': { type: 'number', env: 'ETHERSCAN_RATE_LIMIT', min: 0.1, max: 100 },
+
+    'signer.type': { type: 'enum', env: 'SIGNER_TYPE', values: ['keystore', 'mnemonic', 'remote', 'privateKey'], nullable: true },
+    'signer.keystorePath': { type: 'string', env: 'SIGNER_KEYSTORE_PATH', nullable: true },
+    'signer.keystorePassword': { type: 'string', env: 'SIGNER_KEYSTORE_PASSWORD', nullable: true, secret: true },
+    'signer.mnemonic': { type: 'string', env: 'SIGNER_MNEMONIC', nullable: true, secret: true },
+    'signer.derivationPath': { type: 'string', env: 'SIGNER_DERIVATION_PATH' },
+    'signer.remoteUrl': { type: 'url', env: 'SIGNER_REMOTE_URL', nullable: true },
+    'signer.remoteAddress': { type: 'address', env: 'SIGNER_REMOTE_ADDRESS', nullable: true },
+    'signer.remoteAuthToken': { type: 'string', env: 'SIGNER_REMOTE_AUTH_TOKEN', nullable: true, secret: true },
+    'signer.privateKey': { type: 'string', env: 'ETHEREUM_PRIVATE_KEY', nullable: true, secret: true },
+
+    'walletPool.size': { type: 'integer', env: 'WALLET_POOL_SIZE', min: 1, max: 100 },
+    'walletPool.minBalance': { type: 'ether', env: 'WALLET_MIN_BALANCE' },
+    'walletPool.targetBalance': { type: 'ether', env: 'WALLET_TARGET_BALANCE', nullable: true },
+    'walletPool.stuckAfter': { type: 'integer', env: 'WALLET_STUCK_TIMEOUT', min: 1000 },
+    'walletPool.refreshInterval': { type: 'integer', min: 1000 },
+
+    'storage.dataDir': { type: 'string', env: 'RELAY_DATA_DIR', required: true },
+
+    'confirmations.depth': { type: 'integer', env: 'CONFIRMATION_DEPTH', min: 0, max: 1000 },
+    'confirmations.reorgWindow': { type: 'integer', min: 1 },
+    'backfill.concurrency': { type: 'integer', env: 'BACKFILL_CONCURRENCY', min: 1, max: 64 },
+    'queue.concurrency': { type: 'integer', env: 'RELAY_CONCURRENCY', min: 1, max: 256 },
+    'queue.highWaterMark': { type: 'integer', env: 'RELAY_QUEUE_HIGH_WATER_MARK', min: 1 },
+
+    'policy.file': { type: 'string', env: 'RELAY_POLICY_FILE', nullable: true },
+    'policy.defaultAction': { type: 'enum', values: ['allow', 'deny'] },
+
+    'budget.maxValuePerTx': { type: 'ether', env: 'RELAY_MAX_VALUE_PER_TX', nullable: true },
+    'budget.maxGasSpendPerHour': { type: 'ether', env: 'RELAY_MAX_GAS_SPEND_PER_HOUR', nullable: true },
+    'budget.maxGasSpendPerDay': { type: 'ether', env: 'RELAY_MAX_GAS_SPEND_PER_DAY', nullable: true },
+    'budget.maxTxPerHour': { type: 'integer', env: 'RELAY_MAX_TX_PER_HOUR', nullable: true, min: 1 },
+
+    'preflight.enabled': { type: 'boolean', env: 'PREFLIGHT_ENABLED' },
+    'preflight.onRevert': { type: 'enum', env: 'PREFLIGHT_ON_REVERT', values: ['dead-letter', 'skip'] },
+
+    'fees.maxGasPrice': { type: 'gwei', env: 'MAX_GAS_PRICE' },
+    'fees.strategy': { type: 'enum', env: 'FEE_STRATEGY', values: ['slow', 'normal', 'fast'] },
+    'fees.historyBlocks': { type: 'integer', env: 'FEE_HISTORY_BLOCKS', min: 1, max: 1024 },
+    'fees.legacyBuffer': { type: 'number', env: 'GAS_PRICE_BUFFER', min: 1, max: 10 },
+    'fees.stuckTimeout': { type: 'integer', env: 'STUCK_TX_TIMEOUT', min: 1000 },
+    // Nodes refuse replacements that raise fees by less than 10%
+    'fees.bumpPercent': { type: 'integer', env: 'GAS_BUMP_PERCENT', min: 10, max: 500 },
+    'fees.maxWait': { type: 'integer', env: 'TX_MAX_WAIT', min: 1000 },
+
+    'nonce.gapCheckInterval': { type: 'integer', env: 'NONCE_GAP_CHECK_INTERVAL', min: 1000 },
+
+    'api.enabled': { type: 'boolean', env: 'ADMIN_API_ENABLED' },
+    'api.host': { type: 'string', env: 'ADMIN_API_HOST' },
+    'api.port': { type: 'integer', env: 'ADMIN_API_PORT', min: 1, max: 65535 },
+    'api.token': { type: 'string', env: 'ADMIN_API_TOKEN', nullable: true, secret: true },
+
+    'events.capacity': { type: 'integer', env: 'RELAY_EVENTS_CAPACITY', min: 10, max: 100000 },
+    'events.heartbeatInterval': { type: 'integer', min: 1000 },
+
+    'metrics.enabled': { type: 'boolean', env: 'METRICS_ENABLED' },
+    'metrics.port': { type: 'integer', env: 'METRICS_PORT', min: 1, max: 65535 },
+    'metrics.retryAttempts': { type: 'integer', env: 'MAX_RETRIES', min: 1, max: 100 },
+    'metrics.retryDelay': { type: 'integer', env: 'RETRY_DELAY', min: 0 },
+    'metrics.maxRetryDelay': { type: 'integer', env: 'MAX_RETRY_DELAY', min: 0 },
+    'metrics.retryJitter': { type: 'number', min: 0, max: 1 }
+};
+
+// Sections whose keys are not fixed; profiles may add entries below them
+const OPEN_SECTIONS = ['sources.networks', 'targets.networks'];
+
+const FEE_MODELS = ['source', 'eip1559', 'legacy'];
+
+const URL_PATTERN = /^(https?|wss?):\/\/\S+$/;
+
+function checkEtherscan(where, etherscan) {
+    return etherscan && !/^https?:\/\/\S+$/.test(etherscan.baseUrl) ?
+        [`${where}.etherscan.baseUrl: must be an http(s) URL, got ${JSON.stringify(etherscan.baseUrl === undefined ? null : etherscan.baseUrl)}`] :
+        [];
+}
+
+// explorers is an { <kind>: <url> } map
+function checkExplorers(where, explorers) {
+    if (explorers === undefined || explorers === null) return [];
+    if (typeof explorers !== 'object' || Array.isArray(explorers)) {
+        return [`${where}.explorers: must map explorer kinds to URLs, got ${JSON.stringify(explorers)}`];
+    }
+    return Object.entries(explorers)
+        .filter(([, url]) => url !== null && !/^https?:\/\/\S+$/.test(url))
+        .map(([kind, url]) => `${where}.explorers.${kind}: must be an http(s) URL, got ${JSON.stringify(url)}`);
+}
+
+// Source chains are free-form, so they are checked here rather than in SCHEMA
+function checkSources(config) {
+    const { enabled, networks } = config.sources;
+    const problems = [];
+    const chainIds = new Map();
+    for (const name of enabled) {
+        const network = networks[name];
+        if (!network) {
+            problems.push(`sources.enabled: unknown source chain "${name}", expected one of ${Object.keys(networks).join(', ')}`);
+            continue;
+        }
+        const where = `sources.networks.${name}`;
+        // Relays are recorded by transaction hash, which only stays unique across
+        // sources with different chain IDs
+        if (!Number.isInteger(network.chainId) || network.chainId < 1) {
+            problems.push(`${where}.chainId: must be a positive whole number, got ${JSON.stringify(network.chainId)}`);
+        } else if (chainIds.has(network.chainId)) {
+            problems.push(`${where}.chainId: ${network.chainId} is also used by source ${chainIds.get(network.chainId)}`);
+        } else {
+            chainIds.set(network.chainId, name);
+        }
+        // The defi-oracle-meta source shares the mainnet section's endpoints;
+        // ws and rpc each take one URL or a list of them
+        const shared = name === 'defi-oracle-meta' && !network.ws && !network.rpc ? config.mainnet : network;
+        const endpoints = [].concat(shared.ws || [], shared.rpc || []);
+        if (endpoints.length === 0) {
+            problems.push(`${where}: needs a ws or rpc URL`);
+        }
+        for (const url of endpoints) {
+            if (typeof url !== 'string' || !URL_PATTERN.test(url)) {
+                problems.push(`${where}: must use http(s) or ws(s) URLs, got ${JSON.stringify(url)}`);
+            }
+        }
+        if (network.confirmations != null && (!Number.isInteger(network.confirmations) || network.confirmations < 0)) {
+            problems.push(`${where}.confirmations: must be a whole number of blocks, got ${JSON.stringify(network.confirmations)}`);
+        }
+        problems.push(...checkEtherscan(where, network.etherscan));
+        problems.push(...checkExplorers(where, network.explorers));
+    }
+    return problems;
+}
+
+// Target chains are free-form, so they are checked here rather than in SCHEMA
+function checkTargets(config) {
+    const { enabled, networks } = config.targets;
+    const problems = [];
+    const chainIds = new Map();
+    for (const name of enabled) {
+        const network = networks[name];
+        if (!network) {
+            problems.push(`targets.enabled: unknown target chain "${name}", expected one of ${Object.keys(networks).join(', ')}`);
+            continue;
+        }
+        const where = `targets.networks.${name}`;
+        if (!Number.isInteger(network.chainId) || network.chainId < 1) {
+            problems.push(`${where}.chainId: must be a positive whole number, got ${JSON.stringify(network.chainId)}`);
+        } else if (chainIds.has(network.chainId)) {
+            problems.push(`${where}.chainId: ${network.chainId} is also used by target ${chainIds.get(network.chainId)}`);
+        } else {
+            chainIds.set(network.chainId, name);
+        }
+        // The ethereum target shares the ethereum section's endpoints
+        const rpc = [].concat((name === 'ethereum' && !network.rpc ? config.ethereum.rpc : network.rpc) || []);
+        if (rpc.length === 0) {
+            problems.push(`${where}.rpc: needs an http(s) or ws(s) URL`);
+        }
+        for (const url of rpc) {
+            if (typeof url !== 'string' || !URL_PATTERN.test(url)) {
+                problems.push(`${where}.rpc: must use http(s) or ws(s) URLs, got ${JSON.stringify(url)}`);
+            }
+        }
+        if (network.explorer && !/^https?:\/\/\S+$/.test(network.explorer)) {
+            problems.push(`${where}.explorer: must be an http(s) URL, got ${JSON.stringify(network.explorer)}`);
+        }
+        problems.push(...checkExplorers(where, network.explorers));
+        problems.push(...checkEtherscan(where, network.etherscan));
+        if (!FEE_MODELS.includes(network.feeModel)) {
+            problems.push(`${where}.feeModel: must be one of ${FEE_MODELS.join(', ')}, got ${JSON.stringify(network.feeModel)}`);
+        }
+        if (network.maxGasPrice != null && !/^\d+(\.\d+)?$/.test(String(network.maxGasPrice))) {
+            problems.push(`${where}.maxGasPrice: must be an amount in gwei, got ${JSON.stringify(network.maxGasPrice)}`);
+        }
+        if (network.signer && !SCHEMA['signer.type'].values.includes(network.signer.type)) {
+            problems.push(`${where}.signer.type: must be one of ${SCHEMA['signer.type'].values.join(', ')}, got ${JSON.stringify(network.signer.type)}`);
+        }
+    }
+    return problems;
+}
+
+// Rules that involve more than one setting; each returns an error message
+// (or a list of them) when broken and null otherwise
+const CROSS_CHECKS = [
+    checkSources,
+    checkTargets,
+    (config) => (!config.mock.enabled && !config.signer.type && !config.signer.privateKey ?
+        'signer.type (SIGNER_TYPE) is required when mock mode is off' : null),
+    (config) => {
+        const needs = {
+            keystore: ['keystorePath', 'keystorePassword'],
+            mnemonic: ['mnemonic'],
+            remote: ['remoteUrl'],
+            privateKey: ['privateKey']
+        }[config.signer.type] || [];
+        const missing = needs.filter(field => !config.signer[field]);
+        return missing.length > 0 ?
+            `signer.type "${config.signer.type}" also needs ${missing.map(field => `signer.${field} (${SCHEMA[`signer.${field}`].env})`).join(' and ')}` :
+            null;
+    },
+    (config) => (config.profile === 'prod' && (config.signer.type === 'privateKey' || (!config.signer.type && config.signer.privateKey)) ?
+        'a raw private key signer is not allowed in the prod profile, use keystore, mnemonic or remote' : null),
+    (config) => (config.walletPool.size > 1 && config.signer.type !== 'mnemonic' ?
+        `walletPool.size ${config.walletPool.size} needs signer.type "mnemonic" to derive the wallets from` : null),
+    (config) => (config.walletPool.targetBalance !== null &&
+        parseFloat(config.walletPool.targetBalance) <= parseFloat(config.walletPool.minBalance) ?
+        'walletPool.targetBalance must be above walletPool.minBalance' : null),
+    (config) => (config.budget.maxGasSpendPerHour !== null && config.budget.maxGasSpendPerDay !== null &&
+        parseFloat(config.budget.maxGasSpendPerHour) > parseFloat(config.budget.maxGasSpendPerDay) ?
+        'budget.maxGasSpendPerHour cannot be larger than budget.maxGasSpendPerDay' : null),
+    (config) => (config.api.enabled && !config.api.token ?
+        'api.token (ADMIN_API_TOKEN) is required when the admin API is enabled' : null),
+    (config) => (config.api.enabled && config.api.port === config.metrics.port ?
+        `api.port ${config.api.port} is already used by the metrics server` : null),
+    (config) => (config.verification.maxDelay < config.verification.baseDelay ?
+        'verification.maxDelay cannot be smaller than verification.baseDelay' : null),
+    (config) => (config.metrics.maxRetryDelay < config.metrics.retryDelay ?
+        'metrics.maxRetryDelay cannot be smaller than metrics.retryDelay' : null)
+];
+
+module.exports = { SCHEMA, CROSS_CHECKS, OPEN_SECTIONS, FEE_MODELS };
@@ -0,0 +1,250 @@
+// Built-in configuration for DeFi Oracle Meta Mainnet integration. Profiles,
+// environment variables and command line overrides are applied on top of
+// these by config-loader.cjs; see config-schema.cjs for what can be set.
+const defaults = {
+    mock: {
+        enabled: true, // Set to false when real endpoints are available
+        blockTime: 5000,
+        chainId: 138,
+        networkId: 1,
+        name: 'defi-oracle-meta'
+    },
+    mainnet: {
+        // DeFi Oracle Meta Mainnet configuration from eip155-138+2.json
+        rpc: 'https://rpc.defi-oracle.io',
+        ws: 'wss://wss.defi-oracle.io',
+        chainId: 138,
+        networkId: 1,
+        // Block explorers by kind: etherscan (and its clones), blockscout or quorum
+        explorers: {
+            blockscout: 'https://blockscout.defi-oracle.io',
+            quorum: 'https://explorer.defi-oracle.io'
+        }
+    },
+    ethereum: {
+        // Ethereum mainnet configuration for transaction relay
+        rpc: 'https://rpc.ankr.com/eth', // Ankr's public endpoint; INFURA_KEY switches to Infura
+        chainId: 1,
+        networkId: 1,
+        name: 'mainnet',
+        network: 'mainnet',
+        _defaultProvider: null,
+        ensAddress: null,
+        _network: {
+            chainId: 1,
+            name: 'mainnet'
+        },
+        etherscan: {
+            baseUrl: 'https://api.etherscan.io/api',
+            apiKey: null
+        }
+    },
+    sources: {
+        // Chains watched for transactions to relay; the first one is the primary
+        // source. RELAY_SOURCES=defi-oracle-meta,besu-private sets the list.
+        enabled: ['defi-oracle-meta'],
+        // Known source chains. Each has a chainId, ws and/or rpc endpoints
+        // (ws is preferred for new block events), optionally block explorers
+        // ({ <kind>: <url> } like mainnet.explorers) and optionally its own
+        // confirmation depth; null uses confirmations.depth. Profiles can add
+        // more chains here.
+        networks: {
+            'defi-oracle-meta': {
+                // rpc, ws and explorers come from the mainnet section above
+                chainId: 138,
+                networkId: 1,
+                confirmations: null,
+                // Blockscout serves an Etherscan-compatible API; used by MainnetRelay
+                etherscan: {
+                    baseUrl: 'https://blockscout.defi-oracle.io/api',
+                    apiKey: null
+                }
+            }
+        }
+    },
+    targets: {
+        // Chains every relayed transaction is sent to, in order; the first one is
+        // the primary target. RELAY_TARGETS=ethereum,polygon sets the list.
+        enabled: ['ethereum'],
+        // Known target chains. Each has a chainId, rpc URLs, block explorers
+        // ({ <kind>: <url> } like mainnet.explorers), a fee model ('source' reuses the source transaction's gas price,
+        // 'eip1559' and 'legacy' price from the target chain), and optionally its
+        // own fee cap (gwei), signer and budget settings in place of the top-level
+        // ones. Relays are verified on the chain's Etherscan-compatible API when
+        // it has one; apiKey null uses ETHERSCAN_API_KEY. Profiles can add more
+        // chains here.
+        networks: {
+            ethereum: {
+                // rpc and etherscan come from the ethereum section above
+                chainId: 1,
+                explorers: { etherscan: 'https://etherscan.io' },
+                feeModel: 'source',
+                maxGasPrice: null,
+                signer: null,
+                budget: null
+            },
+            sepolia: {
+                chainId: 11155111,
+                rpc: 'https://rpc.sepolia.org',
+                explorers: { etherscan: 'https://sepolia.etherscan.io' },
+                etherscan: {
+                    baseUrl: 'https://api-sepolia.etherscan.io/api',
+                    apiKey: null
+                },
+                feeModel: 'eip1559',
+                maxGasPrice: null,
+                signer: null,
+                budget: null
+            },
+            polygon: {
+                chainId: 137,
+                rpc: 'https://polygon-rpc.com',
+                explorers: { etherscan: 'https://polygonscan.com' },
+                feeModel: 'eip1559',
+                maxGasPrice: '500',
+                signer: null,
+                budget: null
+            },
+            arbitrum: {
+                chainId: 42161,
+                rpc: 'https://arb1.arbitrum.io/rpc',
+                explorers: { etherscan: 'https://arbiscan.io' },
+                feeModel: 'eip1559',
+                maxGasPrice: null,
+                signer: null,
+                budget: null
+            }
+        }
+    },
+    rpc: {
+        // Every rpc and ws setting takes one URL or a list of them (comma-separated
+        // in the environment). Calls go to the healthiest endpoint of a chain,
+        // scored on latency, error rate and head block lag, and fail over to the
+        // others when it is down.
+        // Endpoints that must return the same receipt or block before it is trusted
+        quorum: 1,
+        requestTimeout: 10000, // milliseconds before a call counts as a failure
+        maxFailures: 3, // failures in a row that take an endpoint out of rotation
+        cooldown: 30000, // milliseconds out of rotation, doubled while it keeps failing
+        healthCheckInterval: 15000 // milliseconds between head block polls of every endpoint
+    },
+    verification: {
+        // Poll the explorer API until every relayed transaction is indexed, and
+        // record it as verified or unverified
+        enabled: true,
+        maxAttempts: 10,
+        baseDelay: 5000, // milliseconds before the first check, doubled after each miss
+        maxDelay: 60000, // milliseconds
+        rateLimit: 5 // requests per second per API key; 1 per 5 seconds without a key
+    },
+    signer: {
+        // Relayer key backend: keystore, mnemonic, remote or privateKey (development only).
+        // Mock mode falls back to a well-known development mnemonic when unset.
+        type: null,
+        keystorePath: null,
+        keystorePassword: null,
+        mnemonic: null,
+        derivationPath: "m/44'/60'/0'/0/0",
+        remoteUrl: null,
+        remoteAddress: null,
+        remoteAuthToken: null,
+        privateKey: null
+    },
+    walletPool: {
+        // Relayer wallets used by MainnetRelay; more than one needs a mnemonic
+        // signer (accounts are derived from it) or a list of signer configs
+        size: 1,
+        // Wallets below this balance (ETH) are taken out of rotation and reported
+        minBalance: '0.05',
+        // Top low wallets up to this balance (ETH) from the richest one; null disables rebalancing
+        targetBalance: null,
+        // Wallets with a transaction pending this long (ms) are taken out of rotation
+        stuckAfter: 600000,
+        refreshInterval: 30000 // milliseconds
+    },
+    storage: {
+        // Directory for relay state (block checkpoint, relay ledger) that must survive restarts
+        dataDir: 'data'
+    },
+    confirmations: {
+        // Source blocks are only relayed once this many blocks have been built on top of them
+        depth: 6,
+        // Number of processed block hashes kept for parent-hash continuity checks
+        reorgWindow: 64
+    },
+    backfill: {
+        // Number of historical blocks fetched in parallel when filling gaps
+        concurrency: 4
+    },
+    queue: {
+        // Relays sent to the target chain at the same time
+        concurrency: 4,
+        // Block intake waits while this many relays are queued
+        highWaterMark: 1000
+    },
+    policy: {
+        // JSON file with { defaultAction, rules } deciding which source transactions
+        // are relayed (see relay/relay-policy.cjs); replaces the inline values below
+        file: null,
+        defaultAction: 'allow',
+        rules: []
+    },
+    budget: {
+        // Spending limits for the relayer wallet, in ETH; null means unlimited.
+        // Relaying pauses while an hourly or daily budget is used up.
+        maxValuePerTx: null,
+        maxGasSpendPerHour: null,
+        maxGasSpendPerDay: null,
+        maxTxPerHour: null
+    },
+    preflight: {
+        // Simulate every relay with eth_call on the target chain before sending it
+        enabled: true,
+        // What happens to a transaction whose simulation reverts: 'dead-letter' or 'skip'
+        onRevert: 'dead-letter'
+    },
+    fees: {
+        // Hard cap on the fee per gas paid on the target chain, in gwei
+        maxGasPrice: '100',
+        // Fee history percentile used by MainnetRelay: slow, normal or fast
+        strategy: 'normal',
+        // Blocks of eth_feeHistory the fee oracle looks at
+        historyBlocks: 20,
+        // Multiplier on the network gas price for legacy transactions and gas estimates
+        legacyBuffer: 1.2,
+        // A transaction pending this long (ms) is replaced with fees raised by bumpPercent
+        stuckTimeout: 180000,
+        bumpPercent: 15,
+        // Longest wait (ms) for a sent transaction, replacements included, before the attempt fails
+        maxWait: 1800000
+    },
+    nonce: {
+        // How often (ms) relayer nonces are checked for gaps left by dropped transactions
+        gapCheckInterval: 60000
+    },
+    api: {
+        // Admin API for operators (scripts/api/admin-api.cjs); every route but
+        // /health needs the bearer token
+        enabled: false,
+        host: '127.0.0.1',
+        port: 8080,
+        token: null
+    },
+    events: {
+        // Relay lifecycle events kept in RELAY_DATA_DIR/relay-events.jsonl for
+        // event stream subscribers to resume from after reconnecting
+        capacity: 1000,
+        heartbeatInterval: 15000 // milliseconds between keep-alive comments on open streams
+    },
+    metrics: {
+        enabled: true,
+        port: 9090,
+        collectInterval: 5000, // milliseconds
+        retryAttempts: 3,
+        retryDelay: 1000, // milliseconds, doubled on every retry
+        maxRetryDelay: 30000, // milliseconds
+        retryJitter: 0.2 // +/- fraction of the delay
+    }
+};
+
+module.exports = defaults;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { ethers } = require('ethers');
+
+// Local stand-in for the Etherscan API. Answers the txlist and
+// gettxreceiptstatus calls EtherscanVerifier makes, in Etherscan's response
+// format, including its API key check and rate limit, so verification can be
+// exercised without an API key or network access. Transactions become visible
+// indexDelay ms after they are indexed, like on the real explorer. They are
+// indexed explicitly with indexTransaction(), or looked up on demand from
+// options.provider (e.g. a local Hardhat node).
+class MockEtherscanServer {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.rateLimit = options.rateLimit || null;  // Requests per second; null for no limit
+        this.indexDelay = options.indexDelay || 0;
+        this.provider = options.provider || null;
+        this.port = options.port || 0;
+        this.server = null;
+        this.transactions = new Map();
+        this.requests = [];
+
+        this.app = express();
+        this.app.get('/api', (req, res) => this.handleRequest(req, res));
+    }
+
+    get url() {
+        return this.server ? `http://127.0.0.1:${this.server.address().port}/api` : null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, '127.0.0.1', () => {
+                console.log(`Mock Etherscan API listening on ${this.url}`);
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // tx needs hash, from, to and blockNumber; status 0 marks it as failed
+    indexTransaction(tx, indexDelay = this.indexDelay) {
+        const hash = tx.hash.toLowerCase();
+        if (!this.transactions.has(hash)) {
+            this.transactions.set(hash, {
+                hash,
+                from: tx.from.toLowerCase(),
+                to: tx.to ? tx.to.toLowerCase() : '',
+                blockNumber: Number(tx.blockNumber),
+                value: ethers.BigNumber.from(tx.value || 0).toString(),
+                gasUsed: ethers.BigNumber.from(tx.gasUsed || 0).toString(),
+                status: tx.status === 0 ? 0 : 1,
+                visibleAt: Date.now() + indexDelay
+            });
+        }
+        return this.transactions.get(hash);
+    }
+
+    handleRequest(req, res) {
+        const query = req.query;
+        this.requests.push({ ...query, at: Date.now() });
+
+        if (this.apiKey && query.apikey !== this.apiKey) {
+            return res.json({ status: '0', message: 'NOTOK', result: 'Invalid API Key' });
+        }
+        if (this.isRateLimited()) {
+            return res.json({ status: '0', message: 'NOTOK', result: 'Max rate limit reached' });
+        }
+
+        this.answer(query)
+            .then(body => res.json(body))
+            .catch(error => res.json({ status: '0', message: 'NOTOK', result: `Error! ${error.message}` }));
+    }
+
+    async answer(query) {
+        if (query.module === 'account' && query.action === 'txlist') {
+            return this.txlist(query);
+        }
+        if (query.module === 'transaction' && query.action === 'gettxreceiptstatus') {
+            const tx = await this.lookup(query.txhash);
+            return { status: '1', message: 'OK', result: { status: tx ? String(tx.status) : '' } };
+        }
+        return { status: '0', message: 'NOTOK', result: 'Error! Missing Or invalid Action name' };
+    }
+
+    async txlist(query) {
+        if (!query.address || !ethers.utils.isAddress(query.address)) {
+            return { status: '0', message: 'NOTOK', result: 'Error! Invalid address format' };
+        }
+        const address = query.address.toLowerCase();
+        const startBlock = query.startblock !== undefined ? Number(query.startblock) : 0;
+        const endBlock = query.endblock !== undefined ? Number(query.endblock) : Infinity;
+        if (this.provider && startBlock === endBlock) {
+            await this.indexBlock(startBlock);
+        }
+
+        const now = Date.now();
+        const matches = Array.from(this.transactions.values())
+            .filter(tx => tx.visibleAt <= now)
+            .filter(tx => tx.from === address || tx.to === address)
+            .filter(tx => tx.blockNumber >= startBlock && tx.blockNumber <= endBlock)
+            .sort((a, b) => (query.sort === 'desc' ? b.blockNumber - a.blockNumber : a.blockNumber - b.blockNumber));
+        if (matches.length === 0) {
+            return { status: '0', message: 'No transactions found', result: [] };
+        }
+        return {
+            status: '1',
+            message: 'OK',
+            result: matches.map(tx => ({
+                blockNumber: String(tx.blockNumber),
+                hash: tx.hash,
+                from: tx.from,
+                to: tx.to,
+                value: tx.value,
+                gasUsed: tx.gasUsed,
+                isError: tx.status === 1 ? '0' : '1',
+                txreceipt_status: String(tx.status)
+            }))
+        };
+    }
+
+    // Indexed transaction that is visible by now, if any
+    async lookup(hash) {
+        let tx = this.transactions.get(String(hash).toLowerCase());
+        if (!tx && this.provider) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                tx = this.indexTransaction({ ...receipt, hash: receipt.transactionHash });
+            }
+        }
+        return tx && tx.visibleAt <= Date.now() ? tx : null;
+    }
+
+    async indexBlock(blockNumber) {
+        const block = await this.provider.getBlockWithTransactions(blockNumber);
+        for (const tx of block ? block.transactions : []) {
+            const receipt = await this.provider.getTransactionReceipt(tx.hash);
+            this.indexTransaction({ ...tx, status: receipt ? receipt.status : 1, gasUsed: receipt ? receipt.gasUsed : 0 });
+        }
+    }
+
+    isRateLimited() {
+        if (!this.rateLimit) return false;
+        const now = Date.now();
+        return this.requests.filter(request => request.at > now - 1000).length > this.rateLimit;
+    }
+}
+
+// Run the service on its own if this file is executed directly; set
+// MOCK_ETHERSCAN_RPC_URL to index transactions from a local node
+if (require.main === module) {
+    const rpcUrl = process.env.MOCK_ETHERSCAN_RPC_URL;
+    new MockEtherscanServer({
+        port: parseInt(process.env.MOCK_ETHERSCAN_PORT || '8560'),
+        apiKey: process.env.ETHERSCAN_API_KEY,
+        indexDelay: parseInt(process.env.MOCK_ETHERSCAN_INDEX_DELAY || '2000'),
+        provider: rpcUrl ? new ethers.providers.JsonRpcProvider(rpcUrl) : null
+    }).start().catch(error => {
+        console.error('Failed to start mock Etherscan API:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockEtherscanServer };
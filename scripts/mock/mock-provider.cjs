@@ -1,10 +1,14 @@
 const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const randomHash = () => `0x${crypto.randomBytes(32).toString('hex')}`;
 
 class MockProvider extends EventEmitter {
     constructor(config = {}) {
         super();
         this.blockNumber = 0;
         this.transactions = new Map();
+        this.blocks = new Map();
         this.config = {
             chainId: 138,
             networkId: 1,
@@ -12,6 +16,13 @@ class MockProvider extends EventEmitter {
             ...config
         };
         this.interval = null;
+        this.blocks.set(0, {
+            number: 0,
+            hash: randomHash(),
+            parentHash: `0x${'0'.repeat(64)}`,
+            timestamp: Math.floor(Date.now() / 1000),
+            transactions: []
+        });
     }
 
     async getNetwork() {
@@ -26,16 +37,22 @@ class MockProvider extends EventEmitter {
     }
 
     async getBlock(blockNumberOrHash) {
-        const number = typeof blockNumberOrHash === 'string' ? 
-            parseInt(blockNumberOrHash) : 
+        if (blockNumberOrHash === undefined || blockNumberOrHash === 'latest') {
+            return this.blocks.get(this.blockNumber);
+        }
+        if (typeof blockNumberOrHash === 'string' && blockNumberOrHash.length === 66) {
+            return Array.from(this.blocks.values()).find(block => block.hash === blockNumberOrHash) || null;
+        }
+        const number = typeof blockNumberOrHash === 'string' ?
+            parseInt(blockNumberOrHash) :
             blockNumberOrHash;
-            
-        return {
-            number: this.blockNumber,
-            hash: `0x${Buffer.from(this.blockNumber.toString()).toString('hex').padStart(64, '0')}`,
-            timestamp: Math.floor(Date.now() / 1000),
-            transactions: Array.from(this.transactions.keys())
-        };
+
+        return this.blocks.get(number) || null;
+    }
+
+    async getBlockWithTransactions(blockNumberOrHash) {
+        const block = await this.getBlock(blockNumberOrHash);
+        return block ? { ...block, transactions: block.transactions.map(hash => this.transactions.get(hash)) } : null;
     }
 
     async getTransaction(hash) {
@@ -43,7 +60,7 @@ class MockProvider extends EventEmitter {
     }
 
     async sendTransaction(transaction) {
-        const hash = `0x${Buffer.from(Date.now().toString()).toString('hex').padStart(64, '0')}`;
+        const hash = randomHash();
         // Format transaction values, handling BigNumber objects
         const formattedTx = {
             to: transaction.to,
@@ -75,16 +92,48 @@ class MockProvider extends EventEmitter {
 
     startBlockProduction(interval = 5000) {
         this.interval = setInterval(() => {
-            this.blockNumber++;
             // Generate 1-3 random transactions per block
             const txCount = Math.floor(Math.random() * 3) + 1;
-            for (let i = 0; i < txCount; i++) {
-                this.generateMockTransaction();
-            }
+            this.mineBlock(txCount);
             this.emit('block', this.blockNumber);
         }, interval);
     }
 
+    // Append a block holding txCount freshly generated transactions
+    mineBlock(txCount = 0) {
+        return this.mineBlockWith(Array.from({ length: txCount }, () => ({})));
+    }
+
+    // Append a block with one generated transaction per entry of fields, each
+    // overriding the generated defaults (to, value, data, gasLimit, ...)
+    mineBlockWith(fields = []) {
+        const parent = this.blocks.get(this.blockNumber);
+        this.blockNumber++;
+        const transactions = fields.map(overrides => this.generateMockTransaction(overrides).hash);
+        const block = {
+            number: this.blockNumber,
+            hash: randomHash(),
+            parentHash: parent.hash,
+            timestamp: Math.floor(Date.now() / 1000),
+            transactions
+        };
+        this.blocks.set(this.blockNumber, block);
+        return block;
+    }
+
+    // Replace the newest depth blocks with a competing fork carrying fresh transactions
+    reorg(depth, txCount = 1) {
+        const height = this.blockNumber;
+        const forkPoint = Math.max(0, height - depth);
+        for (let number = forkPoint + 1; number <= height; number++) {
+            this.blocks.delete(number);
+        }
+        this.blockNumber = forkPoint;
+        while (this.blockNumber < height) {
+            this.mineBlock(txCount);
+        }
+    }
+
     stopBlockProduction() {
         if (this.interval) {
             clearInterval(this.interval);
@@ -104,10 +153,9 @@ class MockProvider extends EventEmitter {
         };
     }
 
-    generateMockTransaction() {
-        const hash = `0x${Buffer.from(Date.now().toString()).toString('hex').padStart(64, '0')}`;
+    generateMockTransaction(overrides = {}) {
+        const hash = randomHash();
         const tx = {
-            hash,
             from: '0x' + '1'.repeat(40),
             to: '0x' + '2'.repeat(40),
             value: `0x${(1000000000000000000n).toString(16)}`,  // 1 ETH in wei, hex format
@@ -118,7 +166,9 @@ class MockProvider extends EventEmitter {
             chainId: this.config.chainId,
             blockNumber: this.blockNumber,
             timestamp: Math.floor(Date.now() / 1000),
-            status: 1
+            status: 1,
+            ...overrides,
+            hash
         };
         this.transactions.set(hash, tx);
         return tx;
@@ -191,6 +241,11 @@ class MockWebSocketProvider extends EventEmitter {
         return this.mockProvider.getBlock(blockNumber);
     }
 
+    async getBlockWithTransactions(blockNumber) {
+        this.ensureConnected();
+        return this.mockProvider.getBlockWithTransactions(blockNumber);
+    }
+
     async getTransaction(hash) {
         this.ensureConnected();
         return this.mockProvider.getTransaction(hash);
@@ -220,12 +275,12 @@ class MockWebSocketProvider extends EventEmitter {
             case 'eth_networkVersion':
             case 'net_version':
                 return this.networkState.chainId.toString();
-            case 'eth_blockNumber':
+            case 'eth_blockNumber': {
                 const blockNumber = await this.mockProvider.getBlockNumber();
                 return `0x${blockNumber.toString(16)}`;
+            }
             case 'eth_getBlockByNumber':
-                const block = await this.mockProvider.getBlock(parseInt(params[0], 16));
-                return block;
+                return await this.mockProvider.getBlock(parseInt(params[0], 16));
             case 'eth_getTransactionByHash':
                 return await this.mockProvider.getTransaction(params[0]);
             case 'eth_getTransactionReceipt':
@@ -26,11 +26,8 @@ class MockProvider extends EventEmitter {
         return this.blockNumber;
     }
 
+    // Always the latest block, whatever is asked for
     async getBlock(blockNumberOrHash) {
-        const number = typeof blockNumberOrHash === 'string' ? 
-            parseInt(blockNumberOrHash) : 
-            blockNumberOrHash;
-            
         return {
             number: this.blockNumber,
             hash: `0x${Buffer.from(this.blockNumber.toString()).toString('hex').padStart(64, '0')}`,
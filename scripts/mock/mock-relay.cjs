@@ -1,4 +1,7 @@
 const { MockProvider, MockWebSocketProvider } = require('./mock-provider.cjs');
+const { ChainExplorers } = require('../relay/explorers.cjs');
+const { resolveTargets } = require('../relay/target-chains.cjs');
+const networkConfig = require('../config/network-config.cjs');
 const { promisify } = require('util');
 const sleep = promisify(setTimeout);
 
@@ -6,6 +9,8 @@ class MockRelay {
     constructor(config = {}) {
         this.provider = new MockProvider(config);
         this.wsProvider = new MockWebSocketProvider('wss://mock.defi-oracle.io', config);
+        // Links for the simulated relays point at the primary target chain's explorers
+        this.explorers = new ChainExplorers(config.explorers || resolveTargets(networkConfig)[0].explorers);
         this.isRunning = false;
         
         // Initialize counters for metrics
@@ -82,7 +87,7 @@ class MockRelay {
                 this.metrics.transactions.successful++;
                 this.metrics.gasUsed += parseInt(relayedTx.gasUsed);
                 console.log(`✓ Transaction ${txHash} successfully relayed to mainnet`);
-                console.log(`  View on Etherscan: https://etherscan.io/tx/${relayedTx.hash}`);
+                this.explorers.logTx(relayedTx.hash);
             } else {
                 this.metrics.transactions.failed++;
                 console.log(`✗ Transaction ${txHash} relay failed`);
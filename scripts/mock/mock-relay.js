@@ -1,11 +1,16 @@
 import { MockProvider, MockWebSocketProvider } from './mock-provider.js';
 import { MetricsCollector } from '../monitoring/metrics.js';
+import { ChainExplorers } from '../relay/explorers.cjs';
+import { resolveTargets } from '../relay/target-chains.cjs';
+import networkConfig from '../config/network-config.cjs';
 
 class MockRelay {
     constructor(config = {}) {
         this.provider = new MockProvider(config);
         this.wsProvider = new MockWebSocketProvider('wss://mock.defi-oracle.io', config);
         this.metrics = new MetricsCollector(parseInt(process.env.METRICS_PORT || '9091'));
+        // Links for the simulated relays point at the primary target chain's explorers
+        this.explorers = new ChainExplorers(config.explorers || resolveTargets(networkConfig)[0].explorers);
         this.isRunning = false;
     }
 
@@ -67,7 +72,7 @@ class MockRelay {
             if (relayedTx.status === 1) {
                 this.metrics.recordTransactionSuccess();
                 console.log(`Transaction ${txHash} successfully relayed to mainnet`);
-                console.log(`View on Etherscan: https://etherscan.io/tx/${relayedTx.hash}`);
+                this.explorers.logTx(relayedTx.hash);
             } else {
                 this.metrics.recordTransactionFailure();
                 console.log(`Transaction ${txHash} relay failed`);
@@ -0,0 +1,109 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { DEV_SIGNER } = require('../relay/signer-factory.cjs');
+
+// Local stand-in for a remote signing service. Speaks the same JSON-RPC
+// subset RemoteSigner uses, holding a development key in memory, so the
+// remote signer backend can be exercised without Clef or Web3Signer.
+class MockSignerService {
+    constructor(options = {}) {
+        this.wallet = options.privateKey ?
+            new ethers.Wallet(options.privateKey) :
+            ethers.Wallet.fromMnemonic(options.mnemonic || DEV_SIGNER.mnemonic, options.derivationPath || DEV_SIGNER.derivationPath);
+        this.authToken = options.authToken || null;
+        this.port = options.port || 0;
+        this.server = null;
+        this.signedTransactions = [];
+
+        this.app = express();
+        this.app.use(express.json());
+        this.app.post('/', (req, res) => this.handleRequest(req, res));
+    }
+
+    get address() {
+        return this.wallet.address;
+    }
+
+    get url() {
+        return this.server ? `http://127.0.0.1:${this.server.address().port}` : null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, '127.0.0.1', () => {
+                console.log(`Mock signer service for ${this.address} listening on ${this.url}`);
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        const { id = null, method, params = [] } = req.body || {};
+        if (this.authToken && req.get('authorization') !== `Bearer ${this.authToken}`) {
+            return res.status(401).json({ jsonrpc: '2.0', id, error: { code: -32001, message: 'Unauthorized' } });
+        }
+
+        try {
+            const result = await this.call(method, params);
+            res.json({ jsonrpc: '2.0', id, result });
+        } catch (error) {
+            res.json({ jsonrpc: '2.0', id, error: { code: error.code || -32000, message: error.message } });
+        }
+    }
+
+    async call(method, params) {
+        switch (method) {
+            case 'eth_accounts':
+                return [this.address];
+            case 'eth_signTransaction': {
+                const { from, gas, type, chainId, ...tx } = params[0] || {};
+                this.checkAccount(from);
+                // ethers wants type and chainId as plain numbers, JSON-RPC sends hex quantities
+                const toNumber = value => value === undefined ? undefined : ethers.BigNumber.from(value).toNumber();
+                const signedTx = await this.wallet.signTransaction({
+                    ...tx,
+                    gasLimit: gas,
+                    type: toNumber(type),
+                    chainId: toNumber(chainId)
+                });
+                this.signedTransactions.push(ethers.utils.keccak256(signedTx));
+                return signedTx;
+            }
+            case 'eth_sign':
+                this.checkAccount(params[0]);
+                return this.wallet.signMessage(ethers.utils.arrayify(params[1]));
+            default: {
+                const error = new Error(`Method ${method} not supported`);
+                error.code = -32601;
+                throw error;
+            }
+        }
+    }
+
+    checkAccount(address) {
+        if (address && ethers.utils.getAddress(address) !== this.address) {
+            throw new Error(`Unknown account ${address}`);
+        }
+    }
+}
+
+// Run the service on its own if this file is executed directly
+if (require.main === module) {
+    new MockSignerService({
+        port: parseInt(process.env.MOCK_SIGNER_PORT || '8550'),
+        authToken: process.env.SIGNER_REMOTE_AUTH_TOKEN
+    }).start().catch(error => {
+        console.error('Failed to start mock signer service:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockSignerService };
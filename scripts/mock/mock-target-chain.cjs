@@ -0,0 +1,294 @@
+const express = require('express');
+const { ethers } = require('ethers');
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+const EMPTY_BLOOM = `0x${'0'.repeat(512)}`;
+const REVERT_REASON = 'reverted by mock target chain';
+
+// JSON-RPC quantities are hex without leading zeros
+const quantity = value => ethers.utils.hexValue(ethers.BigNumber.from(value));
+
+function rpcError(code, message, data) {
+    const error = new Error(message);
+    error.code = code;
+    error.data = data;
+    return error;
+}
+
+// Local stand-in for a target chain's JSON-RPC endpoint. Covers the methods
+// RelayManager uses on a target (fees, nonces, balances, eth_call, sending and
+// receipts) and mines every accepted transaction into a block of its own
+// straight away, like Hardhat's automine, so relays can be sent and confirmed
+// without a node or network access. Calls to revertingAddresses revert in
+// eth_call and eth_estimateGas, and are mined with receipt status 0.
+class MockTargetChain {
+    constructor(options = {}) {
+        this.chainId = options.chainId || 1;
+        this.baseFeePerGas = ethers.utils.parseUnits(options.baseFee || '1', 'gwei');
+        this.priorityFee = ethers.utils.parseUnits(options.priorityFee || '1', 'gwei');
+        this.balance = ethers.utils.parseEther(options.balance || '1000');  // Of every account
+        this.revertingAddresses = new Set((options.revertingAddresses || []).map(address => address.toLowerCase()));
+        this.port = options.port || 0;
+        this.server = null;
+        this.blocks = [this.createBlock(0, ethers.constants.HashZero, [])];
+        this.transactions = new Map();
+        this.nonces = new Map();
+
+        this.app = express();
+        this.app.use(express.json());
+        this.app.post('/', (req, res) => this.handleRequest(req, res));
+    }
+
+    get url() {
+        return this.server ? `http://127.0.0.1:${this.server.address().port}` : null;
+    }
+
+    get blockNumber() {
+        return this.blocks.length - 1;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, '127.0.0.1', () => {
+                console.log(`Mock target chain ${this.chainId} listening on ${this.url}`);
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            // JSON-RPC clients keep their connections alive
+            this.server.closeAllConnections();
+        });
+    }
+
+    // Single requests and batches
+    async handleRequest(req, res) {
+        const body = req.body || {};
+        res.json(Array.isArray(body) ?
+            await Promise.all(body.map(request => this.answer(request))) :
+            await this.answer(body));
+    }
+
+    async answer({ id = null, method, params = [] }) {
+        try {
+            return { jsonrpc: '2.0', id, result: await this.call(method, params) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: error.code || -32000, message: error.message, data: error.data } };
+        }
+    }
+
+    async call(method, params) {
+        switch (method) {
+            case 'eth_chainId':
+                return quantity(this.chainId);
+            case 'net_version':
+                return String(this.chainId);
+            case 'eth_blockNumber':
+                return quantity(this.blockNumber);
+            case 'eth_getBlockByNumber': {
+                const block = this.blocks[this.resolveBlockTag(params[0])];
+                return block ? this.formatBlock(block, !!params[1]) : null;
+            }
+            case 'eth_getBlockByHash': {
+                const block = this.blocks.find(each => each.hash === String(params[0]).toLowerCase());
+                return block ? this.formatBlock(block, !!params[1]) : null;
+            }
+            case 'eth_getBalance':
+                return quantity(this.balance);
+            case 'eth_getTransactionCount':
+                return quantity(this.nonces.get(String(params[0]).toLowerCase()) || 0);
+            case 'eth_gasPrice':
+                return quantity(this.baseFeePerGas.add(this.priorityFee));
+            case 'eth_maxPriorityFeePerGas':
+                return quantity(this.priorityFee);
+            case 'eth_feeHistory':
+                return this.feeHistory(Number(params[0]), params[2] || []);
+            case 'eth_estimateGas':
+                this.checkRevert(params[0] || {});
+                return quantity(this.intrinsicGas(params[0] && params[0].data));
+            case 'eth_call':
+                this.checkRevert(params[0] || {});
+                return '0x';
+            case 'eth_sendRawTransaction':
+                return this.mine(params[0]);
+            case 'eth_getTransactionByHash': {
+                const entry = this.transactions.get(String(params[0]).toLowerCase());
+                return entry ? this.formatTransaction(entry) : null;
+            }
+            case 'eth_getTransactionReceipt': {
+                const entry = this.transactions.get(String(params[0]).toLowerCase());
+                return entry ? this.formatReceipt(entry) : null;
+            }
+            default:
+                throw rpcError(-32601, `Method ${method} not supported`);
+        }
+    }
+
+    resolveBlockTag(tag) {
+        if (tag === 'earliest') return 0;
+        if (tag === undefined || ['latest', 'pending', 'safe', 'finalized'].includes(tag)) return this.blockNumber;
+        return ethers.BigNumber.from(tag).toNumber();
+    }
+
+    feeHistory(blockCount, percentiles) {
+        const count = Math.min(blockCount, this.blocks.length);
+        return {
+            oldestBlock: quantity(this.blockNumber - count + 1),
+            baseFeePerGas: Array(count + 1).fill(quantity(this.baseFeePerGas)),
+            gasUsedRatio: Array(count).fill(0.5),
+            reward: Array(count).fill(percentiles.map(() => quantity(this.priorityFee)))
+        };
+    }
+
+    intrinsicGas(data) {
+        return 21000 + (data && data !== '0x' ? ethers.utils.hexDataLength(data) * 16 : 0);
+    }
+
+    checkRevert(tx) {
+        if (tx.to && this.revertingAddresses.has(tx.to.toLowerCase())) {
+            const data = ethers.utils.hexConcat(['0x08c379a0', ethers.utils.defaultAbiCoder.encode(['string'], [REVERT_REASON])]);
+            throw rpcError(3, `execution reverted: ${REVERT_REASON}`, data);
+        }
+    }
+
+    // Validates a signed transaction and mines it into a new block
+    mine(rawTx) {
+        let tx;
+        try {
+            tx = ethers.utils.parseTransaction(rawTx);
+        } catch (error) {
+            throw rpcError(-32602, `invalid transaction: ${error.reason || error.message}`);
+        }
+        if (!tx.from) {
+            throw rpcError(-32000, 'invalid sender');
+        }
+        if (tx.chainId !== this.chainId) {
+            throw rpcError(-32000, `invalid chain id ${tx.chainId}, this chain is ${this.chainId}`);
+        }
+        if (this.transactions.has(tx.hash.toLowerCase())) {
+            throw rpcError(-32000, 'already known');
+        }
+        const from = tx.from.toLowerCase();
+        const nonce = this.nonces.get(from) || 0;
+        if (tx.nonce !== nonce) {
+            throw rpcError(-32000, `nonce too ${tx.nonce < nonce ? 'low' : 'high'}: address ${tx.from}, tx: ${tx.nonce} state: ${nonce}`);
+        }
+        const feeCap = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
+        if (feeCap.lt(this.baseFeePerGas)) {
+            throw rpcError(-32000, `max fee per gas less than block base fee: maxFeePerGas: ${feeCap}, baseFee: ${this.baseFeePerGas}`);
+        }
+        const gasUsed = this.intrinsicGas(tx.data);
+        if (tx.gasLimit.lt(gasUsed)) {
+            throw rpcError(-32000, `intrinsic gas too low: gas ${tx.gasLimit}, minimum needed ${gasUsed}`);
+        }
+
+        this.nonces.set(from, nonce + 1);
+        const block = this.createBlock(this.blocks.length, this.blocks[this.blockNumber].hash, [tx.hash.toLowerCase()]);
+        this.blocks.push(block);
+        this.transactions.set(tx.hash.toLowerCase(), {
+            tx,
+            block,
+            status: tx.to && this.revertingAddresses.has(tx.to.toLowerCase()) ? 0 : 1,
+            gasUsed,
+            effectiveGasPrice: tx.type === 2 ?
+                this.baseFeePerGas.add(tx.maxPriorityFeePerGas.lt(tx.maxFeePerGas.sub(this.baseFeePerGas)) ?
+                    tx.maxPriorityFeePerGas :
+                    tx.maxFeePerGas.sub(this.baseFeePerGas)) :
+                tx.gasPrice
+        });
+        return tx.hash;
+    }
+
+    createBlock(number, parentHash, transactions) {
+        return {
+            number,
+            hash: ethers.utils.id(`${this.chainId}:${number}:${parentHash}:${transactions.join(',')}`),
+            parentHash,
+            timestamp: Math.floor(Date.now() / 1000),
+            transactions
+        };
+    }
+
+    formatBlock(block, fullTransactions) {
+        const entries = block.transactions.map(hash => this.transactions.get(hash));
+        return {
+            number: quantity(block.number),
+            hash: block.hash,
+            parentHash: block.parentHash,
+            timestamp: quantity(block.timestamp),
+            nonce: '0x0000000000000000',
+            difficulty: '0x0',
+            gasLimit: quantity(30000000),
+            gasUsed: quantity(entries.reduce((total, entry) => total + entry.gasUsed, 0)),
+            miner: ZERO_ADDRESS,
+            extraData: '0x',
+            logsBloom: EMPTY_BLOOM,
+            baseFeePerGas: quantity(this.baseFeePerGas),
+            transactions: fullTransactions ? entries.map(entry => this.formatTransaction(entry)) : block.transactions
+        };
+    }
+
+    formatTransaction({ tx, block, effectiveGasPrice }) {
+        const fees = tx.type === 2 ?
+            { maxFeePerGas: quantity(tx.maxFeePerGas), maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas), accessList: tx.accessList || [] } :
+            {};
+        return {
+            hash: tx.hash,
+            type: quantity(tx.type || 0),
+            chainId: quantity(tx.chainId),
+            nonce: quantity(tx.nonce),
+            blockHash: block.hash,
+            blockNumber: quantity(block.number),
+            transactionIndex: '0x0',
+            from: tx.from,
+            to: tx.to || null,
+            value: quantity(tx.value),
+            gas: quantity(tx.gasLimit),
+            gasPrice: quantity(effectiveGasPrice),
+            ...fees,
+            input: tx.data,
+            v: quantity(tx.v),
+            r: tx.r,
+            s: tx.s
+        };
+    }
+
+    formatReceipt({ tx, block, status, gasUsed, effectiveGasPrice }) {
+        return {
+            transactionHash: tx.hash,
+            transactionIndex: '0x0',
+            blockHash: block.hash,
+            blockNumber: quantity(block.number),
+            from: tx.from,
+            to: tx.to || null,
+            contractAddress: tx.to ? null : ethers.utils.getContractAddress(tx),
+            cumulativeGasUsed: quantity(gasUsed),
+            gasUsed: quantity(gasUsed),
+            effectiveGasPrice: quantity(effectiveGasPrice),
+            logs: [],
+            logsBloom: EMPTY_BLOOM,
+            type: quantity(tx.type || 0),
+            status: quantity(status)
+        };
+    }
+}
+
+// Run the chain on its own if this file is executed directly
+if (require.main === module) {
+    new MockTargetChain({
+        port: parseInt(process.env.MOCK_TARGET_PORT || '8570'),
+        chainId: parseInt(process.env.MOCK_TARGET_CHAIN_ID || '1')
+    }).start().catch(error => {
+        console.error('Failed to start mock target chain:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { MockTargetChain };
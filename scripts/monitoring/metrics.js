@@ -1,5 +1,6 @@
 import promClient from 'prom-client';
 import express from 'express';
+import { ethers } from 'ethers';
 const app = express();
 
 // Create a Registry to register the metrics
@@ -42,12 +43,75 @@ const etherscanVerificationDuration = new promClient.Histogram({
     buckets: [1, 5, 10, 30, 60]
 });
 
+const verificationCounter = new promClient.Counter({
+    name: 'defi_oracle_etherscan_verifications_total',
+    help: 'Relayed transactions checked on the explorer API, by chain and outcome (verified, unverified)',
+    labelNames: ['chain', 'status']
+});
+
+const blockHeightGauge = new promClient.Gauge({
+    name: 'defi_oracle_block_height',
+    help: 'Latest source block processed',
+    labelNames: ['source']
+});
+
+const relayCounter = new promClient.Counter({
+    name: 'defi_oracle_relays_total',
+    help: 'Relays by source chain, target chain and outcome (confirmed, failed, skipped, dead-lettered)',
+    labelNames: ['source', 'target', 'status']
+});
+
+const errorCounter = new promClient.Counter({
+    name: 'defi_oracle_errors_total',
+    help: 'Errors encountered while monitoring and relaying',
+    labelNames: ['type']
+});
+
+const budgetRemainingGauge = new promClient.Gauge({
+    name: 'defi_oracle_relay_budget_remaining',
+    help: 'Spending budget left for the relayer wallet on each target chain (native currency for value and gas budgets, count for transactions)',
+    labelNames: ['budget', 'target']
+});
+
+const relayPausedGauge = new promClient.Gauge({
+    name: 'defi_oracle_relay_paused',
+    help: '1 while relaying to a target chain is paused because a spending budget is exhausted',
+    labelNames: ['target']
+});
+
+const walletBalanceGauge = new promClient.Gauge({
+    name: 'defi_oracle_relayer_wallet_balance',
+    help: 'Balance of each relayer wallet in ETH',
+    labelNames: ['address']
+});
+
+const walletActiveGauge = new promClient.Gauge({
+    name: 'defi_oracle_relayer_wallet_active',
+    help: '1 while a relayer wallet is in rotation, 0 while drained or stuck',
+    labelNames: ['address']
+});
+
+const walletAlertCounter = new promClient.Counter({
+    name: 'defi_oracle_relayer_wallet_alerts_total',
+    help: 'Relayer wallet alerts: wallets taken out of rotation and top-ups that could not be made',
+    labelNames: ['address', 'type']
+});
+
 // Register custom metrics
 register.registerMetric(transactionCounter);
 register.registerMetric(transactionDuration);
 register.registerMetric(gasUsageGauge);
 register.registerMetric(queueSizeGauge);
 register.registerMetric(etherscanVerificationDuration);
+register.registerMetric(verificationCounter);
+register.registerMetric(blockHeightGauge);
+register.registerMetric(errorCounter);
+register.registerMetric(relayCounter);
+register.registerMetric(budgetRemainingGauge);
+register.registerMetric(relayPausedGauge);
+register.registerMetric(walletBalanceGauge);
+register.registerMetric(walletActiveGauge);
+register.registerMetric(walletAlertCounter);
 
 // Expose metrics endpoint
 app.get('/metrics', async (req, res) => {
@@ -90,17 +154,69 @@ class MetricsCollector {
         gasUsageGauge.set(gasAmount);
     }
 
+    // Block metrics
+    updateBlockHeight(blockNumber, source) {
+        blockHeightGauge.labels(source).set(blockNumber);
+    }
+
+    // Outcome of one relay attempt from a source chain to a target chain
+    recordRelay(source, target, status) {
+        relayCounter.labels(source, target, status).inc();
+    }
+
+    // Error metrics
+    recordConnectionError() {
+        errorCounter.labels('connection').inc();
+    }
+
+    recordTransactionError(txHash) {
+        errorCounter.labels('transaction').inc();
+    }
+
+    recordBlockError(blockNumber) {
+        errorCounter.labels('block').inc();
+    }
+
     // Queue metrics
     updateQueueSize(size) {
         queueSizeGauge.set(size);
     }
 
+    // Spending budget metrics; remaining holds wei strings and a transaction count
+    updateBudgetRemaining(remaining, target) {
+        for (const [budget, value] of Object.entries(remaining)) {
+            if (value === null) continue;
+            budgetRemainingGauge.labels(budget, target).set(budget === 'txPerHour' ? value : parseFloat(ethers.utils.formatEther(value)));
+        }
+    }
+
+    updateRelayPaused(paused, target) {
+        relayPausedGauge.labels(target).set(paused ? 1 : 0);
+    }
+
+    // Relayer wallet pool metrics; wallets as returned by WalletPool.describe()
+    updateWalletPool(wallets) {
+        for (const wallet of wallets) {
+            walletBalanceGauge.labels(wallet.address).set(parseFloat(ethers.utils.formatEther(wallet.balance)));
+            walletActiveGauge.labels(wallet.address).set(wallet.status === 'active' ? 1 : 0);
+        }
+    }
+
+    // Alerts as passed to WalletPool's onAlert
+    recordWalletAlert(alert) {
+        walletAlertCounter.labels(alert.address, alert.type).inc();
+    }
+
     // Etherscan verification metrics
     recordVerificationStart(txHash) {
         const end = etherscanVerificationDuration.startTimer();
         return end;
     }
 
+    recordVerification(chain, status) {
+        verificationCounter.labels(chain, status).inc();
+    }
+
     // Graceful shutdown
     async shutdown() {
         if (this.server) {
@@ -111,5 +227,5 @@ class MetricsCollector {
     }
 }
 
-export { MetricsCollector, transactionCounter, transactionDuration, gasUsageGauge, queueSizeGauge, etherscanVerificationDuration };
+export { MetricsCollector, transactionCounter, transactionDuration, gasUsageGauge, queueSizeGauge, etherscanVerificationDuration, verificationCounter, blockHeightGauge, errorCounter, relayCounter, budgetRemainingGauge, relayPausedGauge, walletBalanceGauge, walletActiveGauge, walletAlertCounter };
 export default MetricsCollector;
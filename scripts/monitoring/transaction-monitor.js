@@ -2,6 +2,9 @@ import { MetricsCollector } from './metrics.js';
 import { ethers } from 'ethers';
 import ReconnectingWebSocket from 'reconnecting-websocket';
 import WebSocket from 'ws';
+import config from '../config/network-config.cjs';
+import { BlockBackfiller } from '../relay/block-backfill.cjs';
+import { ChainExplorers } from '../relay/explorers.cjs';
 
 class TransactionMonitor {
     constructor(wsProvider = 'wss://wss.defi-oracle.io') {
@@ -11,6 +14,9 @@ class TransactionMonitor {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000; // Start with 1 second delay
+        this.lastBlockNumber = null;
+        this.blockProcessing = Promise.resolve();
+        this.explorers = new ChainExplorers(config.mainnet.explorers);
     }
 
     async setupWebSocket() {
@@ -76,51 +82,74 @@ class TransactionMonitor {
 
     async startBlockMonitoring() {
         // Monitor new blocks for transactions
-        this.provider.on('block', async (blockNumber) => {
-            try {
-                const block = await this.provider.getBlock(blockNumber, true);
-                if (!block) return;
-
-                console.log(`New block ${blockNumber}: ${block.transactions.length} transactions`);
-                this.metrics.updateBlockHeight(blockNumber);
-                
-                // Process each transaction in the block
-                for (const tx of block.transactions) {
-                    try {
-                        const receipt = await this.provider.getTransactionReceipt(tx.hash);
-                        if (!receipt) continue;
-
-                        const txInfo = {
-                            hash: tx.hash,
-                            blockNumber,
-                            status: receipt.status,
-                            gasUsed: receipt.gasUsed.toString(),
-                            timestamp: Date.now(),
-                            blockscoutUrl: `https://blockscout.defi-oracle.io/tx/${tx.hash}`,
-                            quorumUrl: `https://explorer.defi-oracle.io/tx/${tx.hash}`
-                        };
-
-                        console.log(`Transaction processed: ${tx.hash}`);
-                        console.log('View on Blockscout:', txInfo.blockscoutUrl);
-                        console.log('View on Quorum Explorer:', txInfo.quorumUrl);
-
-                        // Update metrics
-                        this.metrics.updateGasUsage(receipt.gasUsed);
-                        if (receipt.status) {
-                            this.metrics.recordTransactionSuccess(tx.hash);
-                        } else {
-                            this.metrics.recordTransactionFailure(tx.hash);
-                        }
-                    } catch (txError) {
-                        console.error(`Error processing transaction ${tx.hash}:`, txError);
-                        this.metrics.recordTransactionError(tx.hash);
+        this.provider.on('block', (blockNumber) => this.handleBlock(blockNumber));
+    }
+
+    handleBlock(blockNumber) {
+        // Handle blocks one at a time so gaps are measured against the last block actually processed
+        this.blockProcessing = this.blockProcessing
+            .then(async () => {
+                if (this.lastBlockNumber !== null) {
+                    if (blockNumber <= this.lastBlockNumber) return;
+                    if (blockNumber > this.lastBlockNumber + 1) {
+                        console.log(`Gap detected: missed blocks ${this.lastBlockNumber + 1}-${blockNumber - 1}`);
+                        await this.backfill(this.lastBlockNumber + 1, blockNumber - 1);
                     }
                 }
-            } catch (blockError) {
-                console.error('Error processing block:', blockError);
-                this.metrics.recordBlockError(blockNumber);
-            }
+                const block = await this.fetchBlock(blockNumber);
+                await this.processBlock(blockNumber, block);
+            })
+            .catch((error) => {
+                console.error(`Error handling block ${blockNumber}:`, error);
+            });
+        return this.blockProcessing;
+    }
+
+    async backfill(from, to) {
+        const backfiller = new BlockBackfiller(this.provider, {
+            concurrency: config.backfill.concurrency,
+            fetchBlock: (blockNumber) => this.fetchBlock(blockNumber)
         });
+        return backfiller.run(from, to, (block) => this.processBlock(block.number, block));
+    }
+
+    async fetchBlock(blockNumber) {
+        return this.provider.getBlock(blockNumber, true);
+    }
+
+    async processBlock(blockNumber, block) {
+        try {
+            if (!block) return;
+
+            console.log(`New block ${blockNumber}: ${block.transactions.length} transactions`);
+            this.metrics.updateBlockHeight(blockNumber, 'defi-oracle-meta');
+
+            // Process each transaction in the block
+            for (const tx of block.transactions) {
+                try {
+                    const receipt = await this.provider.getTransactionReceipt(tx.hash);
+                    if (!receipt) continue;
+
+                    console.log(`Transaction processed: ${tx.hash}`);
+                    this.explorers.logTx(tx.hash);
+
+                    // Update metrics
+                    this.metrics.updateGasUsage(receipt.gasUsed);
+                    if (receipt.status) {
+                        this.metrics.recordTransactionSuccess(tx.hash);
+                    } else {
+                        this.metrics.recordTransactionFailure(tx.hash);
+                    }
+                } catch (txError) {
+                    console.error(`Error processing transaction ${tx.hash}:`, txError);
+                    this.metrics.recordTransactionError(tx.hash);
+                }
+            }
+            this.lastBlockNumber = blockNumber;
+        } catch (blockError) {
+            console.error('Error processing block:', blockError);
+            this.metrics.recordBlockError(blockNumber);
+        }
     }
 
     async start() {
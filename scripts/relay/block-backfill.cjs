@@ -0,0 +1,58 @@
+// Fetches a range of source blocks with bounded concurrency and hands them to
+// the caller strictly in ascending order, so checkpoints stay contiguous
+class BlockBackfiller {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.fetchBlock = options.fetchBlock || (blockNumber => this.provider.getBlock(blockNumber));
+        this.onProgress = options.onProgress || null;
+    }
+
+    async run(from, to, handleBlock) {
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+            throw new Error(`Invalid backfill range [${from}, ${to}]`);
+        }
+
+        const total = to - from + 1;
+        let processed = 0;
+        console.log(`Backfilling blocks ${from}-${to} (${total} blocks, concurrency ${this.concurrency})`);
+
+        for (let start = from; start <= to; start += this.concurrency) {
+            const end = Math.min(start + this.concurrency - 1, to);
+            const numbers = [];
+            for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+                numbers.push(blockNumber);
+            }
+
+            const blocks = await Promise.all(numbers.map(async (blockNumber) => {
+                const block = await this.fetchBlock(blockNumber);
+                if (!block) {
+                    throw new Error(`Block ${blockNumber} not found during backfill`);
+                }
+                return block;
+            }));
+
+            for (const block of blocks) {
+                await handleBlock(block);
+                processed++;
+                this.reportProgress({ from, to, blockNumber: block.number, processed, total });
+            }
+        }
+
+        console.log(`✓ Backfill of blocks ${from}-${to} complete`);
+        return { from, to, processed };
+    }
+
+    reportProgress(progress) {
+        if (this.onProgress) {
+            this.onProgress(progress);
+            return;
+        }
+        if (progress.processed % this.concurrency === 0 || progress.processed === progress.total) {
+            const percent = (progress.processed / progress.total * 100).toFixed(1);
+            console.log(`Backfill progress: ${progress.processed}/${progress.total} blocks (${percent}%)`);
+        }
+    }
+}
+
+module.exports = { BlockBackfiller };
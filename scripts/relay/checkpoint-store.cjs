@@ -0,0 +1,33 @@
+const { JsonFileStore } = require('../storage/json-store.cjs');
+
+// Durable record of the last source block the relay fully processed
+class CheckpointStore {
+    constructor(filePath) {
+        this.store = new JsonFileStore(filePath, { blockNumber: null });
+    }
+
+    load() {
+        const checkpoint = this.store.read();
+        if (checkpoint.blockNumber === null || checkpoint.blockNumber === undefined) {
+            return null;
+        }
+        return checkpoint;
+    }
+
+    save(blockNumber, blockHash = null, recentBlocks = []) {
+        const checkpoint = {
+            blockNumber,
+            blockHash,
+            recentBlocks,
+            updatedAt: new Date().toISOString()
+        };
+        this.store.write(checkpoint);
+        return checkpoint;
+    }
+
+    clear() {
+        this.store.write({ blockNumber: null });
+    }
+}
+
+module.exports = { CheckpointStore };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { JsonFileStore } = require('../storage/json-store.cjs');
+
+// BigNumbers serialise as { type: 'BigNumber', hex }; store them as decimal strings
+const toPlain = value => JSON.parse(JSON.stringify(value === undefined ? null : value, (key, field) => (
+    field && field.type === 'BigNumber' && field.hex ? BigInt(field.hex).toString() : field
+)));
+
+// Durable record of relays that exhausted their retries. Entries stay here
+// until an operator discards them or re-queues them once the cause is fixed.
+class DeadLetterQueue {
+    constructor(filePath) {
+        this.store = new JsonFileStore(filePath, { entries: {} });
+        this.entries = new Map(Object.entries(this.store.read().entries));
+    }
+
+    add({ id, sourceHash = null, target = null, transaction = null, error, attempts = [], fees = null, origin }) {
+        const entryId = id || sourceHash || `dlq-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const existing = this.get(entryId);
+        const entry = {
+            id: entryId,
+            sourceHash,
+            target,
+            origin,
+            status: 'dead',
+            transaction: toPlain(transaction),
+            lastError: error instanceof Error ? error.message : String(error),
+            errorCode: error && error.code ? error.code : null,
+            attempts: toPlain(attempts),
+            fees: toPlain(fees),
+            deadLetterCount: existing ? existing.deadLetterCount + 1 : 1,
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        console.error(`! Relay ${entryId} moved to the dead-letter queue: ${entry.lastError}`);
+        return this.save(entry);
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    // Entries still waiting for an operator unless another status is asked for
+    list(filter = {}) {
+        const status = filter.status || 'dead';
+        return Array.from(this.entries.values())
+            .filter(entry => status === 'all' || entry.status === status)
+            .filter(entry => !filter.origin || entry.origin === filter.origin)
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    }
+
+    discard(id, reason = null) {
+        return this.transition(id, 'discarded', { discardReason: reason });
+    }
+
+    // Mark the entry as handed back to the relay; the caller performs the relay
+    requeue(id) {
+        return this.transition(id, 'requeued', { requeuedAt: new Date().toISOString() });
+    }
+
+    transition(id, status, fields = {}) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`No dead-letter entry ${id}`);
+        }
+        if (entry.status !== 'dead') {
+            throw new Error(`Dead-letter entry ${id} is already ${entry.status}`);
+        }
+        return this.save({ ...entry, ...fields, status, updatedAt: new Date().toISOString() });
+    }
+
+    // Entries still waiting for an operator, the count getStatus reports
+    size() {
+        return this.list().length;
+    }
+
+    save(entry) {
+        this.entries.set(entry.id, entry);
+        this.store.write({ entries: Object.fromEntries(this.entries) });
+        return entry;
+    }
+}
+
+module.exports = { DeadLetterQueue };
@@ -0,0 +1,196 @@
+const { ethers } = require('ethers');
+
+// Requests per second Etherscan allows without an API key
+const KEYLESS_RATE = 0.2;
+
+// Etherscan counts requests per second; a request refused for going over is
+// sent again after this long, a few times, before the check counts as missed
+const RATE_LIMIT_BACKOFF = 1000;
+const RATE_LIMIT_RETRIES = 3;
+
+// Spaces out the requests made with one API key so they stay under the
+// explorer's per-key limit, however many verifiers share the key. Halves its
+// rate each time the explorer still reports the limit reached and recovers
+// gradually as requests go through.
+class RateLimiter {
+    constructor(rate) {
+        this.baseInterval = 1000 / rate;
+        this.interval = this.baseInterval;
+        this.next = 0;
+    }
+
+    // Resolves once the caller may send its request
+    async take() {
+        const now = Date.now();
+        const at = Math.max(now, this.next);
+        this.next = at + this.interval;
+        if (at > now) {
+            await new Promise(resolve => setTimeout(resolve, at - now));
+        }
+    }
+
+    // Holds every caller back after the explorer reported the limit reached
+    backOff(delay) {
+        this.interval = Math.min(this.interval * 2, this.baseInterval * 32);
+        this.next = Math.max(this.next, Date.now() + delay);
+    }
+
+    recover() {
+        this.interval = Math.max(this.baseInterval, this.interval * 0.9);
+    }
+}
+
+const limiters = new Map();
+
+function limiterFor(baseUrl, apiKey, rate) {
+    const key = `${new URL(baseUrl).host}|${apiKey || ''}`;
+    if (!limiters.has(key)) {
+        limiters.set(key, new RateLimiter(apiKey ? rate : Math.min(rate, KEYLESS_RATE)));
+    }
+    return limiters.get(key);
+}
+
+// Confirms that a relayed transaction shows up on an Etherscan-compatible
+// explorer API (Etherscan and its clones, Blockscout). The explorer is polled
+// with exponential backoff until it has indexed the transaction: txlist for
+// the relayer's address around the receipt's block, then gettxreceiptstatus
+// for the outcome. A transaction the explorer reports as failed, or that is
+// still missing after maxAttempts, is unverified.
+class EtherscanVerifier {
+    constructor(options = {}) {
+        if (!options.baseUrl) {
+            throw new Error('EtherscanVerifier needs the explorer API baseUrl');
+        }
+        this.baseUrl = options.baseUrl;
+        this.apiKey = options.apiKey || null;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.baseDelay = options.baseDelay ?? 5000;
+        this.maxDelay = options.maxDelay || 60000;
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.limiter = limiterFor(this.baseUrl, this.apiKey, options.rateLimit || 5);
+        this.stopped = false;
+        this.sleeping = new Set();
+    }
+
+    // Resolves with { status, hash, attempts, checkedAt } where status is
+    // verified or unverified (with a reason), or pending if stop() was called
+    // first. Never rejects.
+    async verify(hash, { from = null, blockNumber = null } = {}) {
+        let lastReason = 'not indexed yet';
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            // Explorers index a few seconds behind the chain, so even the first check waits
+            await this.sleep(Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay));
+            if (this.stopped) {
+                return { status: 'pending', hash, attempts: attempt - 1 };
+            }
+            try {
+                const outcome = await this.check(hash, from, blockNumber);
+                if (outcome) {
+                    return { ...outcome, hash, attempts: attempt, checkedAt: new Date().toISOString() };
+                }
+                lastReason = 'not indexed yet';
+            } catch (error) {
+                if (error.code === 'ETHERSCAN_REJECTED') {
+                    return { status: 'unverified', hash, attempts: attempt, reason: error.message, checkedAt: new Date().toISOString() };
+                }
+                lastReason = error.message;
+            }
+        }
+        return {
+            status: 'unverified',
+            hash,
+            attempts: this.maxAttempts,
+            reason: `not found on the explorer after ${this.maxAttempts} attempts (${lastReason})`,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    // Outcome once the explorer knows the transaction, null before
+    async check(hash, from, blockNumber) {
+        let indexedBlock = null;
+        if (from) {
+            const query = { module: 'account', action: 'txlist', address: from, sort: 'asc' };
+            if (blockNumber !== null) {
+                query.startblock = blockNumber;
+                query.endblock = blockNumber;
+            }
+            const transactions = await this.request(query);
+            const entry = transactions.find(tx => tx.hash.toLowerCase() === hash.toLowerCase());
+            if (!entry) {
+                return null;
+            }
+            indexedBlock = Number(entry.blockNumber);
+            if (entry.isError === '1' || entry.txreceipt_status === '0') {
+                return { status: 'unverified', reason: 'the explorer reports the transaction as failed', blockNumber: indexedBlock };
+            }
+        }
+
+        // Empty while the explorer has no receipt for the transaction
+        const receipt = await this.request({ module: 'transaction', action: 'gettxreceiptstatus', txhash: hash });
+        if (receipt.status === '1') {
+            return { status: 'verified', blockNumber: indexedBlock };
+        }
+        if (receipt.status === '0') {
+            return { status: 'unverified', reason: 'the explorer reports the transaction as failed', blockNumber: indexedBlock };
+        }
+        return null;
+    }
+
+    async request(query) {
+        const url = new URL(this.baseUrl);
+        for (const [name, value] of Object.entries(query)) {
+            url.searchParams.set(name, String(value));
+        }
+        if (this.apiKey) {
+            url.searchParams.set('apikey', this.apiKey);
+        }
+
+        for (let retry = 0; ; retry++) {
+            await this.limiter.take();
+            let response;
+            try {
+                response = await ethers.utils.fetchJson({ url: url.toString(), timeout: this.requestTimeout });
+            } catch (error) {
+                // ethers puts the request URL, API key included, in its messages
+                throw new Error(`${query.action} request failed: ${error.reason || 'no response'}${error.status ? ` (HTTP ${error.status})` : ''}`);
+            }
+
+            // An address without transactions in the range is not an error
+            if (response.status === '1' || Array.isArray(response.result)) {
+                this.limiter.recover();
+                return response.result;
+            }
+            const detail = typeof response.result === 'string' ? response.result : response.message;
+            if (/rate limit/i.test(detail)) {
+                this.limiter.backOff(RATE_LIMIT_BACKOFF);
+                if (retry < RATE_LIMIT_RETRIES) continue;
+                throw new Error(`${query.action} rate limited: ${detail}`);
+            }
+            const error = new Error(`${query.action} rejected by the explorer: ${detail}`);
+            error.code = 'ETHERSCAN_REJECTED';
+            throw error;
+        }
+    }
+
+    sleep(delay) {
+        return new Promise(resolve => {
+            const sleeper = { resolve, timer: setTimeout(() => {
+                this.sleeping.delete(sleeper);
+                resolve();
+            }, delay) };
+            this.sleeping.add(sleeper);
+        });
+    }
+
+    // Ends every verification in progress; they resolve as pending
+    stop() {
+        this.stopped = true;
+        for (const sleeper of this.sleeping) {
+            clearTimeout(sleeper.timer);
+            sleeper.resolve();
+        }
+        this.sleeping.clear();
+    }
+}
+
+module.exports = { EtherscanVerifier, RateLimiter };
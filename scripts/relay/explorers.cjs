@@ -0,0 +1,98 @@
+const { ethers } = require('ethers');
+
+// Page paths shared by Etherscan and its clones, Blockscout and Quorum Explorer
+const PATHS = {
+    tx: hash => `tx/${hash}`,
+    address: address => `address/${address}`,
+    block: number => `block/${number}`
+};
+
+// Names used in log lines; other explorers, Etherscan clones included, go by host name
+const EXPLORER_NAMES = {
+    blockscout: 'Blockscout',
+    quorum: 'Quorum Explorer'
+};
+
+// Block explorers of one chain, built from an { <kind>: <url> } map such as
+// mainnet.explorers, where kind is etherscan, blockscout or quorum. Builds
+// links to every explorer at once, keyed by kind, and can ask a Blockscout
+// explorer whether it has indexed a transaction.
+class ChainExplorers {
+    constructor(explorers = {}, options = {}) {
+        this.explorers = Object.entries(explorers || {})
+            .filter(([, url]) => url)
+            .map(([kind, url]) => ({ kind, url: url.endsWith('/') ? url : `${url}/` }));
+        this.requestTimeout = options.requestTimeout || 10000;
+    }
+
+    get kinds() {
+        return this.explorers.map(explorer => explorer.kind);
+    }
+
+    // { <kind>: <url> } for every explorer of the chain; empty without any
+    links(type, value) {
+        return Object.fromEntries(this.explorers.map(explorer => [explorer.kind, new URL(PATHS[type](value), explorer.url).toString()]));
+    }
+
+    txLinks(hash) {
+        return this.links('tx', hash);
+    }
+
+    addressLinks(address) {
+        return this.links('address', address);
+    }
+
+    blockLinks(blockNumber) {
+        return this.links('block', blockNumber);
+    }
+
+    // Link on the preferred (first) explorer, or null without one
+    txUrl(hash) {
+        const links = Object.values(this.txLinks(hash));
+        return links.length > 0 ? links[0] : null;
+    }
+
+    // Logs each explorer's page for a transaction
+    logTx(hash) {
+        for (const [kind, url] of Object.entries(this.txLinks(hash))) {
+            console.log(`View on ${EXPLORER_NAMES[kind] || new URL(url).host}:`, url);
+        }
+    }
+
+    // Asks the chain's Blockscout API whether it has indexed the transaction.
+    // Resolves with { indexed, blockNumber, success, confirmations }, or null
+    // when the chain has no Blockscout explorer.
+    async lookupTransaction(hash) {
+        const blockscout = this.explorers.find(explorer => explorer.kind === 'blockscout');
+        if (!blockscout) {
+            return null;
+        }
+        const url = new URL('api', blockscout.url);
+        url.searchParams.set('module', 'transaction');
+        url.searchParams.set('action', 'gettxinfo');
+        url.searchParams.set('txhash', hash);
+
+        let response;
+        try {
+            response = await ethers.utils.fetchJson({ url: url.toString(), timeout: this.requestTimeout });
+        } catch (error) {
+            const lookupError = new Error(`Blockscout lookup of ${hash} failed: ${error.reason || error.message}${error.status ? ` (HTTP ${error.status})` : ''}`);
+            lookupError.code = 'EXPLORER_UNAVAILABLE';
+            throw lookupError;
+        }
+
+        // Blockscout answers status 0 with "Transaction not found" until it has indexed the transaction
+        if (response.status !== '1' || !response.result) {
+            return { indexed: false, blockNumber: null, success: null, confirmations: null };
+        }
+        const { result } = response;
+        return {
+            indexed: true,
+            blockNumber: result.blockNumber !== undefined ? Number(result.blockNumber) : null,
+            success: result.success !== undefined ? result.success === true || result.success === 'true' : null,
+            confirmations: result.confirmations !== undefined ? Number(result.confirmations) : null
+        };
+    }
+}
+
+module.exports = { ChainExplorers };
@@ -0,0 +1,290 @@
+const { ethers } = require('ethers');
+
+// Weight of the newest sample in the moving averages of latency and error rate
+const SMOOTHING = 0.2;
+
+// JSON-RPC errors that mean the endpoint is overloaded rather than that the
+// request was wrong
+const RATE_LIMIT_CODES = [-32005, 429];
+
+// Reads that can be cross-checked against a quorum of endpoints, with the
+// part of the answer the endpoints have to agree on
+const QUORUM_METHODS = {
+    eth_getTransactionReceipt: receipt => (receipt ? `${receipt.blockHash}:${receipt.status}` : null),
+    eth_getBlockByNumber: block => (block ? block.hash : null),
+    eth_getBlockByHash: block => (block ? block.hash : null)
+};
+
+// Scheme and host only; the path and query often carry an API key
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname !== '/' || parsed.search ? '/…' : ''}`;
+    } catch (error) {
+        return '<invalid url>';
+    }
+}
+
+// ethers error messages repeat the request URL, API key included
+function describeError(error) {
+    const detail = error.status ? `HTTP ${error.status}` :
+        error.serverError ? error.serverError.code || error.serverError.message : null;
+    const reason = error.reason || error.message;
+    return detail ? `${reason} (${detail})` : reason;
+}
+
+function errorText(error) {
+    return [error.message, error.error && error.error.message, error.body].filter(Boolean).join(' ');
+}
+
+// True when the endpoint failed (unreachable, timed out, HTTP error, rate
+// limited) rather than answering with a JSON-RPC error such as a revert,
+// which any other endpoint would answer the same way
+function isEndpointFailure(error) {
+    const rpcCode = typeof error.code === 'number' ? error.code :
+        error.error && typeof error.error.code === 'number' ? error.error.code : null;
+    return rpcCode === null || RATE_LIMIT_CODES.includes(rpcCode);
+}
+
+function connectEndpoint(url, network) {
+    return /^wss?:/i.test(url) ?
+        new ethers.providers.WebSocketProvider(url, network) :
+        new ethers.providers.JsonRpcProvider(url, network);
+}
+
+class Endpoint {
+    constructor(url, provider) {
+        this.url = url;
+        this.label = redactUrl(url);
+        this.provider = provider;
+        this.latency = null;  // Moving average, ms
+        this.errorRate = 0;  // Moving average of failed calls, 0 to 1
+        this.failures = 0;  // In a row
+        this.head = null;
+        this.headAt = null;
+        this.downUntil = 0;
+        this.lastError = null;
+    }
+
+    isDown(now = Date.now()) {
+        return this.downUntil > now;
+    }
+
+    recordSuccess(latency) {
+        this.latency = this.latency === null ? latency : SMOOTHING * latency + (1 - SMOOTHING) * this.latency;
+        this.errorRate = (1 - SMOOTHING) * this.errorRate;
+        this.failures = 0;
+        this.downUntil = 0;
+    }
+
+    recordFailure(error) {
+        this.errorRate = SMOOTHING + (1 - SMOOTHING) * this.errorRate;
+        this.failures++;
+        this.lastError = describeError(error);
+    }
+
+    recordHead(blockNumber) {
+        if (this.head === null || blockNumber >= this.head) {
+            this.head = blockNumber;
+            this.headAt = Date.now();
+        }
+    }
+
+    // Lower is better: latency, inflated by the error rate, plus a penalty per
+    // block the endpoint's head trails the best known head
+    score(bestHead, lagPenalty) {
+        const lag = bestHead !== null && this.head !== null ? Math.max(0, bestHead - this.head) : 0;
+        return (this.latency || 0) * (1 + 10 * this.errorRate) + lag * lagPenalty;
+    }
+}
+
+// JSON-RPC provider over several endpoints of the same chain. Every call goes
+// to the healthiest endpoint and fails over to the next one when an endpoint
+// is unreachable, times out or is rate limited. Endpoints are scored on
+// latency, error rate and how far their head block trails the others; one
+// that fails maxFailures times in a row is taken out of rotation for a
+// cooldown that doubles while it keeps failing. With quorum above 1, receipts
+// and blocks are only trusted once that many endpoints return the same one.
+class FailoverProvider extends ethers.providers.JsonRpcProvider {
+    constructor(urls, network, options = {}) {
+        super(urls[0], network);
+        this.networkName = network.name;
+        this.endpoints = urls.map(url => new Endpoint(url, connectEndpoint(url, network)));
+        this.quorum = Math.min(options.quorum || 1, urls.length);
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.maxFailures = options.maxFailures || 3;
+        this.cooldown = options.cooldown || 30000;
+        this.lagPenalty = options.lagPenalty || 1000;
+        this.current = null;
+
+        if ((options.quorum || 1) > urls.length) {
+            console.log(`! RPC quorum of ${options.quorum} for ${network.name} lowered to ${urls.length}, the number of endpoints`);
+        }
+
+        // Head freshness is only comparable when every endpoint is asked, so
+        // they are polled for their block number in the background as well
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => console.error(`! RPC health check for ${network.name} failed:`, error.message));
+        }, options.healthCheckInterval || 15000);
+        if (this.healthTimer.unref) {
+            this.healthTimer.unref();
+        }
+    }
+
+    async send(method, params) {
+        if (this.quorum > 1 && QUORUM_METHODS[method]) {
+            return this.sendWithQuorum(method, params);
+        }
+
+        let lastFailure = null;
+        for (const endpoint of this.rank()) {
+            try {
+                const result = await this.call(endpoint, method, params);
+                if (endpoint !== this.current) {
+                    if (this.current) {
+                        console.log(`✓ RPC for ${this.networkName} failed over to ${endpoint.label}`);
+                    }
+                    this.current = endpoint;
+                }
+                return result;
+            } catch (error) {
+                if (!isEndpointFailure(error)) {
+                    // An endpoint that failed earlier may still have broadcast the transaction
+                    if (lastFailure && method === 'eth_sendRawTransaction' && /already known|known transaction/i.test(errorText(error))) {
+                        return ethers.utils.keccak256(params[0]);
+                    }
+                    throw error;
+                }
+                lastFailure = error;
+            }
+        }
+        throw lastFailure;
+    }
+
+    // Asks every usable endpoint and returns the answer at least quorum of
+    // them agree on. An answer found by fewer endpoints than that while others
+    // still see nothing counts as not found yet, like a receipt for a block
+    // that has not reached every node.
+    async sendWithQuorum(method, params) {
+        const up = this.rank().filter(endpoint => !endpoint.isDown());
+        const endpoints = up.length >= this.quorum ? up : this.rank();
+        const outcomes = await Promise.allSettled(endpoints.map(endpoint => this.call(endpoint, method, params)));
+
+        const votes = new Map();
+        for (const outcome of outcomes.filter(each => each.status === 'fulfilled')) {
+            const key = QUORUM_METHODS[method](outcome.value);
+            const vote = votes.get(key) || { value: outcome.value, count: 0 };
+            vote.count++;
+            votes.set(key, vote);
+        }
+        const best = Array.from(votes.values()).sort((a, b) => b.count - a.count)[0];
+        if (best && best.count >= this.quorum) {
+            return best.value;
+        }
+        if (votes.has(null)) {
+            return null;
+        }
+
+        const answer = outcomes.find(each => each.status === 'rejected' && !isEndpointFailure(each.reason));
+        if (answer && votes.size === 0) {
+            throw answer.reason;
+        }
+        const error = new Error(`No quorum for ${method} on ${this.networkName}: ${best ? best.count : 0} of ${endpoints.length} endpoints agree, ${this.quorum} needed`);
+        error.code = 'QUORUM_NOT_REACHED';
+        throw error;
+    }
+
+    // One request to one endpoint, timed and recorded against its health
+    async call(endpoint, method, params) {
+        const started = Date.now();
+        let timer;
+        try {
+            const result = await Promise.race([
+                endpoint.provider.send(method, params),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        const error = new Error(`${method} timed out after ${this.requestTimeout}ms`);
+                        error.code = 'TIMEOUT';
+                        reject(error);
+                    }, this.requestTimeout);
+                })
+            ]);
+            endpoint.recordSuccess(Date.now() - started);
+            if (method === 'eth_blockNumber') {
+                endpoint.recordHead(parseInt(result, 16));
+            }
+            return result;
+        } catch (error) {
+            if (!isEndpointFailure(error)) {
+                endpoint.recordSuccess(Date.now() - started);
+                throw error;
+            }
+            endpoint.recordFailure(error);
+            console.error(`! RPC endpoint ${endpoint.label} for ${this.networkName} failed on ${method}: ${endpoint.lastError}`);
+            if (endpoint.failures >= this.maxFailures) {
+                const backoff = Math.min(this.cooldown * 2 ** (endpoint.failures - this.maxFailures), this.cooldown * 10);
+                endpoint.downUntil = Date.now() + backoff;
+                console.error(`! RPC endpoint ${endpoint.label} for ${this.networkName} taken out of rotation for ${backoff}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Endpoints in rotation by score, then the ones cooling down by how soon
+    // they come back; those are still tried when everything else fails
+    rank(now = Date.now()) {
+        const heads = this.endpoints.map(endpoint => endpoint.head).filter(head => head !== null);
+        const bestHead = heads.length > 0 ? Math.max(...heads) : null;
+        const up = this.endpoints.filter(endpoint => !endpoint.isDown(now))
+            .sort((a, b) => a.score(bestHead, this.lagPenalty) - b.score(bestHead, this.lagPenalty));
+        const down = this.endpoints.filter(endpoint => endpoint.isDown(now))
+            .sort((a, b) => a.downUntil - b.downUntil);
+        return up.concat(down);
+    }
+
+    // Polls every endpoint's block number, which also brings endpoints that
+    // have recovered back into rotation
+    async checkHealth() {
+        await Promise.allSettled(this.endpoints.map(endpoint => this.call(endpoint, 'eth_blockNumber', [])));
+    }
+
+    // Health of each endpoint for metrics and status output, best first
+    describe() {
+        const heads = this.endpoints.map(endpoint => endpoint.head).filter(head => head !== null);
+        const bestHead = heads.length > 0 ? Math.max(...heads) : null;
+        return this.rank().map(endpoint => ({
+            url: endpoint.label,
+            status: endpoint.isDown() ? 'down' : 'up',
+            latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+            errorRate: Number(endpoint.errorRate.toFixed(3)),
+            head: endpoint.head,
+            lag: bestHead !== null && endpoint.head !== null ? bestHead - endpoint.head : null,
+            headAge: endpoint.headAt === null ? null : Date.now() - endpoint.headAt,
+            lastError: endpoint.lastError
+        }));
+    }
+
+    async destroy() {
+        clearInterval(this.healthTimer);
+        this.polling = false;
+        for (const endpoint of this.endpoints) {
+            if (typeof endpoint.provider.destroy === 'function') {
+                await endpoint.provider.destroy();
+            }
+        }
+    }
+}
+
+// Provider for one network's endpoint list: a plain provider for a single
+// URL, a FailoverProvider over several. options are config.rpc.
+function createRpcProvider(urls, network, options = {}) {
+    const list = [].concat(urls).filter(Boolean);
+    if (list.length === 0) {
+        throw new Error(`No RPC endpoints configured for ${network.name}`);
+    }
+    return list.length === 1 ? connectEndpoint(list[0], network) : new FailoverProvider(list, network, options);
+}
+
+module.exports = { FailoverProvider, createRpcProvider, isEndpointFailure, redactUrl };
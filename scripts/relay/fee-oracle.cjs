@@ -0,0 +1,110 @@
+const { ethers } = require('ethers');
+
+// Reward percentile sampled from recent blocks and headroom given to the base
+// fee for each strategy. Headroom covers base fee increases while the
+// transaction waits (+12.5% per full block).
+const STRATEGIES = {
+    slow: { percentile: 10, baseFeeMultiplier: 1.25 },
+    normal: { percentile: 50, baseFeeMultiplier: 1.5 },
+    fast: { percentile: 90, baseFeeMultiplier: 2 }
+};
+
+const PERCENTILES = Object.values(STRATEGIES).map(strategy => strategy.percentile);
+
+// Next faster strategy, used when a transaction was rejected as underpriced
+function escalateStrategy(strategyName = 'normal') {
+    const names = Object.keys(STRATEGIES);
+    return names[Math.min(names.indexOf(strategyName) + 1, names.length - 1)];
+}
+
+// Derives transaction fees for the target chain. EIP-1559 fees come from
+// eth_feeHistory; a legacy gas price is only used when the chain has no base fee.
+class FeeOracle {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.strategy = options.strategy || 'normal';
+        this.blockCount = options.blockCount || 20;
+        this.maxFeePerGas = options.maxFeePerGas ? ethers.BigNumber.from(options.maxFeePerGas) : null;
+        this.legacyBuffer = options.legacyBuffer || 1;
+        if (!STRATEGIES[this.strategy]) {
+            throw new Error(`Unknown fee strategy "${this.strategy}", expected one of ${Object.keys(STRATEGIES).join(', ')}`);
+        }
+    }
+
+    async getFees(strategyName = this.strategy) {
+        const strategy = STRATEGIES[strategyName];
+        if (!strategy) {
+            throw new Error(`Unknown fee strategy "${strategyName}"`);
+        }
+
+        const history = await this.getFeeHistory();
+        if (!history) {
+            return this.getLegacyFees();
+        }
+
+        const rewardIndex = PERCENTILES.indexOf(strategy.percentile);
+        const rewards = history.reward
+            .map(blockRewards => ethers.BigNumber.from(blockRewards[rewardIndex]))
+            .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+        let maxPriorityFeePerGas = rewards.length > 0 ?
+            rewards[Math.floor(rewards.length / 2)] :
+            ethers.BigNumber.from(0);
+
+        // The last entry is the base fee of the next block
+        const nextBaseFee = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+        const baseFeeHeadroom = nextBaseFee.mul(Math.round(strategy.baseFeeMultiplier * 100)).div(100);
+        let maxFeePerGas = baseFeeHeadroom.add(maxPriorityFeePerGas);
+
+        if (this.maxFeePerGas) {
+            if (nextBaseFee.gt(this.maxFeePerGas)) {
+                throw new Error(`Base fee ${ethers.utils.formatUnits(nextBaseFee, 'gwei')} gwei exceeds maximum allowed`);
+            }
+            if (maxFeePerGas.gt(this.maxFeePerGas)) {
+                maxFeePerGas = this.maxFeePerGas;
+            }
+        }
+        if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+            maxPriorityFeePerGas = maxFeePerGas;
+        }
+
+        return { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFee: nextBaseFee, strategy: strategyName };
+    }
+
+    // Returns null when the chain does not support eth_feeHistory or has no base fee
+    async getFeeHistory() {
+        let history;
+        try {
+            history = await this.provider.send('eth_feeHistory', [
+                ethers.utils.hexValue(this.blockCount),
+                'latest',
+                PERCENTILES
+            ]);
+        } catch (error) {
+            console.log('eth_feeHistory unavailable, using legacy gas price:', error.message);
+            return null;
+        }
+
+        const hasBaseFee = history && Array.isArray(history.baseFeePerGas) &&
+            history.baseFeePerGas.some(fee => !ethers.BigNumber.from(fee).isZero());
+        if (!hasBaseFee) {
+            return null;
+        }
+        return { ...history, reward: history.reward || [] };
+    }
+
+    async getLegacyFees() {
+        const networkPrice = await this.provider.getGasPrice();
+        let gasPrice = networkPrice.mul(Math.round(this.legacyBuffer * 100)).div(100);
+        if (this.maxFeePerGas) {
+            if (networkPrice.gt(this.maxFeePerGas)) {
+                throw new Error('Gas price exceeds maximum allowed');
+            }
+            if (gasPrice.gt(this.maxFeePerGas)) {
+                gasPrice = this.maxFeePerGas;
+            }
+        }
+        return { type: 0, gasPrice };
+    }
+}
+
+module.exports = { FeeOracle, STRATEGIES, escalateStrategy };
@@ -1,6 +1,6 @@
 import MainnetRelay from './mainnet-relay.js';
 
 // Create singleton instance
-const relay = new MainnetRelay(process.env.MAINNET_RPC_URL);
+const relay = new MainnetRelay();
 
 export default relay;
@@ -1,40 +1,119 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
 import { ethers } from 'ethers';
 import { MetricsCollector } from '../monitoring/metrics.js';
-import dotenv from 'dotenv';
-
-// Load environment variables with defaults
-dotenv.config();
-const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
-const RETRY_DELAY = parseInt(process.env.RETRY_DELAY || '1000');
-const GAS_PRICE_BUFFER = parseFloat(process.env.GAS_PRICE_BUFFER || '1.2');
-const MAX_GAS_PRICE = ethers.utils.parseUnits(process.env.MAX_GAS_PRICE || '100', 'gwei');
-const CHAIN_ID = 138; // From listing data
-const NETWORK_ID = 1;  // From listing data
-const RPC_URLS = {
-    http: 'https://rpc.defi-oracle.io',
-    ws: 'wss://wss.defi-oracle.io'
-};
+import { NonceManager } from './nonce-manager.cjs';
+import { StuckTransactionWatcher } from './stuck-tx-watcher.cjs';
+import { FeeOracle, escalateStrategy } from './fee-oracle.cjs';
+import { RetryPolicy } from './retry-policy.cjs';
+import { DeadLetterQueue } from './dead-letter-queue.cjs';
+import { SpendingBudget, maxGasCost } from './spend-budget.cjs';
+import { createSigners } from './signer-factory.cjs';
+import { WalletPool } from './wallet-pool.cjs';
+import { PreflightSimulator } from './preflight.cjs';
+import { resolveSource } from './source-chains.cjs';
+import { createRpcProvider } from './failover-provider.cjs';
+import { EtherscanVerifier } from './etherscan-verifier.cjs';
+import { ChainExplorers } from './explorers.cjs';
+import config from '../config/network-config.cjs';
+
+// Tunables come from the loaded configuration (see config/config-schema.cjs)
+const MAX_RETRIES = config.metrics.retryAttempts;
+const RETRY_DELAY = config.metrics.retryDelay;
+const MAX_RETRY_DELAY = config.metrics.maxRetryDelay;
+const GAS_PRICE_BUFFER = config.fees.legacyBuffer;
+const MAX_GAS_PRICE = ethers.utils.parseUnits(config.fees.maxGasPrice, 'gwei');
+const NONCE_GAP_CHECK_INTERVAL = config.nonce.gapCheckInterval;
+const STUCK_TX_TIMEOUT = config.fees.stuckTimeout;
+const GAS_BUMP_PERCENT = config.fees.bumpPercent;
+const TX_MAX_WAIT = config.fees.maxWait;
+const FEE_STRATEGY = config.fees.strategy;
+const FEE_HISTORY_BLOCKS = config.fees.historyBlocks;
+const DEFAULT_NETWORK = 'defi-oracle-meta';
 
 class MainnetRelay {
-    constructor(provider = RPC_URLS.http) {
-        this.provider = new ethers.providers.JsonRpcProvider(provider, {
-            chainId: CHAIN_ID,
-            name: 'defi-oracle-meta'
+    // options.network names the chain to relay on, any of config.sources.networks
+    // (defi-oracle-meta by default), so one process can run a relay per chain.
+    // Relays sharing a process should share one options.metrics collector.
+    // options.onWalletAlert(alert) hears about relayer wallets leaving the
+    // rotation and failed top-ups, which are also counted in the metrics.
+    constructor(provider = null, options = {}) {
+        this.network = resolveSource(config, options.network || DEFAULT_NETWORK);
+        // Several rpc endpoints are used with failover (see failover-provider.cjs)
+        const endpoints = provider ? [provider] : this.network.rpc.length > 0 ? this.network.rpc : this.network.ws;
+        this.provider = createRpcProvider(endpoints, {
+            chainId: this.network.chainId,
+            name: this.network.name
+        }, config.rpc);
+        this.wsProvider = this.network.ws.length > 0 ?
+            new ethers.providers.WebSocketProvider(this.network.ws[0], {
+                chainId: this.network.chainId,
+                name: this.network.name
+            }) :
+            null;
+        this.transactions = new Map();
+        this.replacementChains = new Map();
+        this.deadLetters = options.deadLetters ||
+            new DeadLetterQueue(path.join(config.storage.dataDir, this.stateFile('dead-letters')));
+        this.retryPolicy = new RetryPolicy({
+            maxAttempts: MAX_RETRIES,
+            baseDelay: RETRY_DELAY,
+            maxDelay: MAX_RETRY_DELAY
         });
-        this.wsProvider = new ethers.providers.WebSocketProvider(RPC_URLS.ws, {
-            chainId: CHAIN_ID,
-            name: 'defi-oracle-meta'
+        this.feeOracle = new FeeOracle(this.provider, {
+            strategy: FEE_STRATEGY,
+            blockCount: FEE_HISTORY_BLOCKS,
+            maxFeePerGas: MAX_GAS_PRICE,
+            legacyBuffer: GAS_PRICE_BUFFER
         });
-        this.transactions = new Map();
+        this.preflight = new PreflightSimulator(this.provider);
+        this.stuckTxWatcher = new StuckTransactionWatcher(this.provider, {
+            stuckAfter: STUCK_TX_TIMEOUT,
+            bumpPercent: GAS_BUMP_PERCENT,
+            feeCeiling: MAX_GAS_PRICE,
+            maxWait: TX_MAX_WAIT
+        });
+        this.explorers = new ChainExplorers(this.network.explorers);
+        // Checks relayed transactions on the chain's explorer API in the background
+        this.verifier = this.network.etherscan && config.verification.enabled ?
+            new EtherscanVerifier({ ...config.verification, ...this.network.etherscan }) :
+            null;
+        this.verifications = new Map();
         this.isInitialized = false;
-        this.metrics = new MetricsCollector(parseInt(process.env.METRICS_PORT || '9090'));
+        this.ownsMetrics = !options.metrics;
+        this.metrics = options.metrics || new MetricsCollector(config.metrics.port);
+        this.onWalletAlert = options.onWalletAlert || null;
+        this.budget = new SpendingBudget(path.join(config.storage.dataDir, this.stateFile('budget')), config.budget, {
+            onPauseChange: paused => this.metrics.updateRelayPaused(!!paused, this.network.name)
+        });
     }
 
-    async initialize(privateKey) {
+    // State files keep their original names for the default network
+    stateFile(kind) {
+        return this.network.name === DEFAULT_NETWORK ?
+            `mainnet-relay-${kind}.json` :
+            `mainnet-relay-${this.network.name}-${kind}.json`;
+    }
+
+    // signer is a signer config (see signer-factory.cjs), an ethers Signer or
+    // a list of either for the wallet pool; a bare private key string is
+    // still accepted for local development
+    async initialize(signer = config.signer) {
         try {
-            this.wallet = new ethers.Wallet(privateKey, this.provider);
+            const signerConfig = typeof signer === 'string' ? { type: 'privateKey', privateKey: signer } : signer;
+            const signers = await createSigners(signerConfig, config.walletPool.size, this.provider);
+            this.pool = new WalletPool(signers, {
+                gapCheckInterval: NONCE_GAP_CHECK_INTERVAL,
+                minBalance: ethers.utils.parseEther(config.walletPool.minBalance),
+                targetBalance: config.walletPool.targetBalance ? ethers.utils.parseEther(config.walletPool.targetBalance) : null,
+                stuckAfter: config.walletPool.stuckAfter,
+                refreshInterval: config.walletPool.refreshInterval,
+                onRefresh: wallets => this.metrics.updateWalletPool(wallets),
+                onAlert: alert => this.handleWalletAlert(alert)
+            });
+            await this.pool.start();
             this.isInitialized = true;
-            console.log('Mainnet relay initialized with address:', this.wallet.address);
+            console.log(`Mainnet relay on ${this.network.name} initialized with addresses:`, this.pool.describe().map(wallet => wallet.address).join(', '));
             return true;
         } catch (error) {
             console.error('Failed to initialize mainnet relay:', error);
@@ -48,99 +127,309 @@ class MainnetRelay {
         }
 
         let attempts = 0;
-        const maxRetries = process.env.MAX_RETRIES || 3;
-        const retryDelay = process.env.RETRY_DELAY || 1000;
+        const sourceHash = transaction.sourceHash || transaction.hash || null;
+        const retryKey = sourceHash || transaction;
+        const budgetKey = sourceHash || randomUUID();
+        let feeRequest = transaction;
+        let fees = null;
+        // Once broadcast, retries wait on the transaction already sent (and its
+        // replacements) instead of signing a new one with another nonce, which
+        // could relay the source transaction twice
+        let inFlight = null;
         const end = this.metrics.recordTransactionStart();
 
-        while (attempts < maxRetries) {
+        while (true) {
+            let nonce = null;
+            let sentTx = null;
+            let wallet = null;
+            let walletCost = null;
+            let walletHeld = false;
             try {
-                // Prepare transaction with EIP1559 support
-                const tx = {
-                    to: transaction.to,
-                    value: transaction.value || 0,
-                    data: transaction.data || '0x',
-                    gasLimit: transaction.gasLimit || await this.estimateGas(transaction),
-                    nonce: await this.wallet.getTransactionCount(),
-                    type: 2, // EIP1559 transaction type
-                    maxFeePerGas: transaction.maxFeePerGas,
-                    maxPriorityFeePerGas: transaction.maxPriorityFeePerGas
-                };
+                let tx;
+                if (inFlight) {
+                    ({ wallet, walletCost } = inFlight);
+                    walletHeld = true;
+                    tx = inFlight.chain[inFlight.chain.length - 1].tx;
+                    nonce = tx.nonce;
+                    sentTx = { hash: inFlight.chain[inFlight.chain.length - 1].hash, nonce };
+                    console.log(`Still waiting for ${sentTx.hash} (nonce ${nonce}) instead of sending again`);
+                } else {
+                    tx = {
+                        to: transaction.to,
+                        value: transaction.value || 0,
+                        data: transaction.data || '0x',
+                        gasLimit: transaction.gasLimit || await this.estimateGas(transaction)
+                    };
+                    fees = await this.resolveFees(feeRequest);
+                    Object.assign(tx, fees);
 
-                // If EIP1559 params not provided, fall back to legacy
-                if (!tx.maxFeePerGas || !tx.maxPriorityFeePerGas) {
-                    delete tx.maxFeePerGas;
-                    delete tx.maxPriorityFeePerGas;
-                    delete tx.type;
+                    // Waits while an hourly or daily budget is used up
+                    await this.budget.reserve(budgetKey, tx);
+                    this.metrics.updateBudgetRemaining(this.budget.remaining(), this.network.name);
 
-                    const gasPrice = await this.provider.getGasPrice();
-                    const maxGasPrice = ethers.utils.parseUnits(process.env.MAX_GAS_PRICE || '100', 'gwei');
-                    if (gasPrice.gt(maxGasPrice)) {
-                        throw new Error('Gas price exceeds maximum allowed');
+                    // Least busy wallet that can pay for the value and the worst-case gas
+                    walletCost = maxGasCost(tx).add(tx.value);
+                    wallet = this.pool.acquire(walletCost);
+                    walletHeld = true;
+
+                    // Run the exact payload from the chosen wallet through eth_call; a revert is not sent
+                    if (config.preflight.enabled) {
+                        const simulation = await this.preflight.simulate(tx, wallet.address);
+                        if (!simulation.ok) {
+                            throw PreflightSimulator.revertError(simulation);
+                        }
                     }
-                    tx.gasPrice = gasPrice;
-                }
 
-                // Send transaction
-                const sentTx = await this.wallet.sendTransaction(tx);
-                const network = await this.provider.getNetwork();
+                    nonce = await wallet.nonceManager.acquire();
+                    tx.nonce = nonce;
 
-                // Generate explorer URLs based on chain configuration
-                const blockscoutUrl = `https://blockscout.defi-oracle.io/tx/${sentTx.hash}`;
-                const quorumUrl = `https://explorer.defi-oracle.io/tx/${sentTx.hash}`;
+                    // Send transaction
+                    sentTx = await this.broadcast(tx, wallet);
+                    inFlight = {
+                        chain: [{ hash: sentTx.hash, tx }],
+                        chainKey: sourceHash || sentTx.hash,
+                        wallet,
+                        walletCost
+                    };
+                    this.recordReplacement(inFlight.chainKey, sentTx.hash, tx);
 
-                console.log('Transaction sent:', sentTx.hash);
-                console.log('View on Blockscout:', blockscoutUrl);
-                console.log('View on Quorum Explorer:', quorumUrl);
+                    console.log('Transaction sent:', sentTx.hash);
+                }
+                const { chainKey } = inFlight;
 
-                // Wait for confirmation and verify
-                const receipt = await sentTx.wait(1); // Wait for 1 confirmation
+                // Wait for confirmation, replacing the transaction with higher fees if it gets stuck
+                const { receipt, hash } = await this.stuckTxWatcher.waitForReceipt(
+                    tx,
+                    inFlight.chain,
+                    async (bumpedTx) => (await this.broadcast(bumpedTx, wallet)).hash,
+                    (replacement) => {
+                        inFlight.chain.push({ hash: replacement.hash, tx: replacement.tx });
+                        this.recordReplacement(chainKey, replacement.hash, replacement.tx);
+                    }
+                );
+                inFlight = null;
+                wallet.nonceManager.confirm(nonce);
+                this.settleSpending(budgetKey, receipt);
+
+                // Explorer pages by kind from the network's configured explorers
+                const explorerLinks = {
+                    tx: this.explorers.txLinks(hash),
+                    block: this.explorers.blockLinks(receipt.blockNumber),
+                    relayer: this.explorers.addressLinks(wallet.address)
+                };
+                this.explorers.logTx(hash);
 
                 // Additional verification check
                 if (!receipt.status) {
                     throw new Error('Transaction failed on-chain');
                 }
+                this.pool.release(wallet, walletCost);
+                walletHeld = false;
 
                 const txInfo = {
+                    sourceHash,
                     status: receipt.status,
                     blockNumber: receipt.blockNumber,
                     timestamp: Date.now(),
-                    blockscoutUrl,
-                    quorumUrl,
+                    relayer: wallet.address,
+                    blockscoutUrl: explorerLinks.tx.blockscout || null,
+                    quorumUrl: explorerLinks.tx.quorum || null,
+                    explorerLinks,
                     gasUsed: receipt.gasUsed.toString(),
                     effectiveGasPrice: receipt.effectiveGasPrice.toString(),
-                    chainId: 138, // Defi Oracle Meta Mainnet chain ID
-                    networkId: 1  // Network ID from listing data
+                    chainId: this.network.chainId,
+                    networkId: this.network.networkId,
+                    replacements: this.getReplacementChain(chainKey),
+                    retryDecisions: this.retryPolicy.reset(retryKey),
+                    verification: this.verifier ? { status: 'pending' } : null
                 };
 
-                this.transactions.set(sentTx.hash, txInfo);
-                this.metrics.recordTransactionSuccess(sentTx.hash);
+                this.transactions.set(hash, txInfo);
+                this.metrics.recordTransactionSuccess(hash);
                 this.metrics.updateGasUsage(receipt.gasUsed.toString());
                 end(); // Stop timing the transaction
 
-                // Wait for explorer indexing
-                await new Promise(resolve => setTimeout(resolve, 5000));
+                if (this.verifier) {
+                    this.verifyTransaction(hash, wallet.address, receipt.blockNumber);
+                }
 
                 return {
                     success: true,
-                    hash: sentTx.hash,
+                    hash,
                     ...txInfo
                 };
             } catch (error) {
                 attempts++;
                 console.error(`Transaction relay attempt ${attempts} failed:`, error);
 
+                // A nonce the node never accepted is either reused or skipped
+                if (nonce !== null && !sentTx) {
+                    await wallet.nonceManager.recordFailure(nonce, error);
+                }
+                // A transaction still in flight keeps its wallet until it is mined or given up on
+                if (walletHeld && !inFlight) {
+                    this.pool.release(wallet, walletCost);
+                }
+                if (!sentTx) {
+                    this.budget.release(budgetKey);
+                } else if (error.receipt) {
+                    this.settleSpending(budgetKey, error.receipt);
+                }
+
                 if (sentTx?.hash) {
                     this.metrics.recordTransactionFailure(sentTx.hash);
                 }
 
-                if (attempts >= maxRetries) {
+                if (error.code === 'PREFLIGHT_REVERTED' && config.preflight.onRevert === 'skip') {
+                    console.log(`Skipping relay of ${sourceHash || 'transaction'}: ${error.message}`);
+                    this.retryPolicy.reset(retryKey);
+                    end();
+                    return {
+                        success: false,
+                        skipped: true,
+                        sourceHash,
+                        revertReason: error.revertReason
+                    };
+                }
+
+                const decision = this.retryPolicy.decide(retryKey, error);
+                if (!decision.retry) {
+                    console.error(`Not retrying relay: ${decision.reason}`);
+                    if (inFlight) {
+                        this.pool.release(inFlight.wallet, inFlight.walletCost);
+                        inFlight = null;
+                    }
+                    error.retryDecisions = this.retryPolicy.reset(retryKey);
+                    error.deadLetter = this.deadLetters.add({
+                        sourceHash,
+                        origin: 'mainnet-relay',
+                        transaction,
+                        error,
+                        attempts: error.retryDecisions,
+                        fees
+                    });
                     end(); // Stop timing even on failure
                     throw error;
                 }
 
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
+                // Rejected as underpriced: let the fee oracle price the next attempt more aggressively
+                if (decision.escalateFees) {
+                    feeRequest = {
+                        ...feeRequest,
+                        maxFeePerGas: null,
+                        maxPriorityFeePerGas: null,
+                        feeStrategy: escalateStrategy(feeRequest.feeStrategy || FEE_STRATEGY)
+                    };
+                }
+
+                console.log(`Retrying relay in ${decision.delay}ms (${decision.reason})`);
+                await new Promise(resolve => setTimeout(resolve, decision.delay));
+            }
+        }
+    }
+
+    // EIP1559 fees from the caller or the fee oracle; the oracle only falls
+    // back to a legacy gas price on chains without a base fee
+    async resolveFees(transaction) {
+        if (transaction.maxFeePerGas && transaction.maxPriorityFeePerGas) {
+            if (ethers.BigNumber.from(transaction.maxFeePerGas).gt(MAX_GAS_PRICE)) {
+                throw new Error('Max fee per gas exceeds maximum allowed');
+            }
+            return {
+                type: 2, // EIP1559 transaction type
+                maxFeePerGas: transaction.maxFeePerGas,
+                maxPriorityFeePerGas: transaction.maxPriorityFeePerGas
+            };
+        }
+
+        const fees = await this.feeOracle.getFees(transaction.feeStrategy);
+        if (fees.type === 2) {
+            return {
+                type: 2,
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+            };
+        }
+        return { gasPrice: fees.gasPrice };
+    }
+
+    // Charge the spending budget with what the transaction actually cost
+    settleSpending(budgetKey, receipt) {
+        const gasCost = receipt.effectiveGasPrice ?
+            ethers.BigNumber.from(receipt.gasUsed).mul(receipt.effectiveGasPrice) :
+            null;
+        this.budget.settle(budgetKey, gasCost);
+        this.metrics.updateBudgetRemaining(this.budget.remaining(), this.network.name);
+    }
+
+    handleWalletAlert(alert) {
+        this.metrics.recordWalletAlert(alert);
+        if (this.onWalletAlert) {
+            this.onWalletAlert({ ...alert, network: this.network.name });
+        }
+    }
+
+    // Balance, status and transactions in flight for every relayer wallet
+    getWallets() {
+        return this.pool ? this.pool.describe() : [];
+    }
+
+    getBudget() {
+        return {
+            paused: this.budget.paused,
+            remaining: this.budget.remaining()
+        };
+    }
+
+    // Sign locally so the hash is known even when the node reports the
+    // transaction as already known from an earlier broadcast
+    async broadcast(tx, wallet) {
+        const populatedTx = await wallet.signer.populateTransaction(tx);
+        const signedTx = await wallet.signer.signTransaction(populatedTx);
+        const hash = ethers.utils.keccak256(signedTx);
+        try {
+            await this.provider.sendTransaction(signedTx);
+        } catch (error) {
+            if (!NonceManager.isAlreadyKnown(error)) {
+                throw error;
             }
+            console.log(`Transaction ${hash} already known to the node`);
         }
+        wallet.nonceManager.markSent(tx.nonce, hash, signedTx);
+        return { hash, nonce: tx.nonce };
+    }
+
+    // Relay a dead-lettered transaction again once its cause (e.g. an empty wallet) is fixed
+    async requeueDeadLetter(id) {
+        const entry = this.deadLetters.requeue(id);
+        console.log(`Re-queueing dead-lettered relay ${id}`);
+        return this.relayTransaction(entry.transaction);
+    }
+
+    discardDeadLetter(id, reason) {
+        return this.deadLetters.discard(id, reason);
+    }
+
+    listDeadLetters(filter) {
+        return this.deadLetters.list(filter);
+    }
+
+    // Every broadcast made for a source transaction, original first
+    recordReplacement(chainKey, hash, tx) {
+        const chain = this.replacementChains.get(chainKey) || [];
+        chain.push({
+            hash,
+            nonce: tx.nonce,
+            maxFeePerGas: tx.maxFeePerGas ? tx.maxFeePerGas.toString() : null,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : null,
+            gasPrice: tx.gasPrice ? tx.gasPrice.toString() : null,
+            sentAt: new Date().toISOString()
+        });
+        this.replacementChains.set(chainKey, chain);
+    }
+
+    getReplacementChain(sourceHash) {
+        return this.replacementChains.get(sourceHash) || [];
     }
 
     async estimateGas(transaction) {
@@ -151,11 +440,12 @@ class MainnetRelay {
                 data: transaction.data || '0x'
             });
             // Add configurable buffer for safety
-            const buffer = process.env.GAS_PRICE_BUFFER || 1.2; // Default 20% buffer if not set
-            const bufferBasisPoints = Math.floor(buffer * 100);
+            const bufferBasisPoints = Math.floor(GAS_PRICE_BUFFER * 100);
             return estimate.mul(bufferBasisPoints).div(100);
         } catch (error) {
-            console.error('Gas estimation failed:', error);
+            // Estimation runs without the relayer as sender, so a failure here is
+            // not final; the pre-flight call from the chosen wallet decides
+            console.error('Gas estimation failed:', error.message);
             return ethers.BigNumber.from('500000'); // Fallback gas limit
         }
     }
@@ -171,14 +461,61 @@ class MainnetRelay {
         }));
     }
 
+    // Waits for the explorer to index a relayed transaction and records the
+    // outcome on its entry in this.transactions
+    verifyTransaction(hash, from, blockNumber) {
+        const end = this.metrics.recordVerificationStart(hash);
+        const verification = this.verifier.verify(hash, { from, blockNumber })
+            .then(result => {
+                const txInfo = this.transactions.get(hash);
+                if (txInfo) {
+                    txInfo.verification = result;
+                }
+                if (result.status === 'pending') return result;
+                end();
+                this.metrics.recordVerification(this.network.name, result.status);
+                if (result.status === 'verified') {
+                    console.log(`✓ Transaction ${hash} verified on the explorer`);
+                } else {
+                    console.error(`! Transaction ${hash} unverified on the explorer: ${result.reason}`);
+                }
+                return result;
+            })
+            .finally(() => this.verifications.delete(hash));
+        this.verifications.set(hash, verification);
+        return verification;
+    }
+
+    // Verification result of a relayed transaction once its check has finished
+    async waitForVerification(hash) {
+        await this.verifications.get(hash);
+        const txInfo = this.transactions.get(hash);
+        return txInfo ? txInfo.verification : null;
+    }
+
     async shutdown() {
-        if (this.metrics) {
+        if (this.pool) {
+            this.pool.stop();
+        }
+
+        if (typeof this.provider.describe === 'function') {
+            await this.provider.destroy();
+        }
+
+        // Unfinished verifications end as pending
+        if (this.verifier) {
+            this.verifier.stop();
+            await Promise.all(this.verifications.values());
+        }
+
+        if (this.metrics && this.ownsMetrics) {
             await this.metrics.shutdown();
             console.log('Metrics server shut down successfully');
         }
 
         // Clear transaction map and reset initialization
         this.transactions.clear();
+        this.replacementChains.clear();
         this.isInitialized = false;
     }
 }
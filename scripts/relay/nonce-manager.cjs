@@ -0,0 +1,199 @@
+// Owns the nonce sequence for one relayer address. Nonces are handed out
+// locally so concurrent sends never collide, and nonces left unused by a
+// failed or dropped send are reused or filled so later transactions are not
+// stuck behind a gap.
+class NonceManager {
+    constructor(signer, options = {}) {
+        this.signer = signer;
+        this.gapCheckInterval = options.gapCheckInterval || 60000;
+        // A lagging endpoint can briefly not know a transaction it was sent
+        this.dropAfterMisses = options.dropAfterMisses || 2;
+        this.nextNonce = null;
+        this.pending = new Map();
+        this.released = [];
+        this.lock = Promise.resolve();
+        this.timer = null;
+    }
+
+    // Serialise nonce bookkeeping that has to talk to the node
+    withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+
+    async sync() {
+        const [pendingCount, latestCount] = await Promise.all([
+            this.signer.getTransactionCount('pending'),
+            this.signer.getTransactionCount('latest')
+        ]);
+        if (this.nextNonce === null || pendingCount > this.nextNonce) {
+            this.nextNonce = pendingCount;
+        }
+        // Anything mined is no longer ours to track or reuse
+        this.released = this.released.filter(nonce => nonce >= latestCount);
+        for (const nonce of this.pending.keys()) {
+            if (nonce < latestCount) {
+                this.pending.delete(nonce);
+            }
+        }
+        return this.nextNonce;
+    }
+
+    acquire() {
+        return this.withLock(async () => {
+            if (this.nextNonce === null) {
+                await this.sync();
+            }
+            const nonce = this.released.length > 0 ? this.released.shift() : this.nextNonce++;
+            this.pending.set(nonce, { hash: null, rawTx: null, acquiredAt: Date.now() });
+            return nonce;
+        });
+    }
+
+    markSent(nonce, hash, rawTx = null) {
+        this.pending.set(nonce, { ...this.pending.get(nonce), hash, rawTx, sentAt: Date.now(), misses: 0 });
+    }
+
+    // The transaction using this nonce was mined (successfully or not)
+    confirm(nonce) {
+        this.pending.delete(nonce);
+    }
+
+    // The nonce was never accepted by the node and can be handed out again
+    release(nonce) {
+        this.pending.delete(nonce);
+        if (!this.released.includes(nonce)) {
+            this.released.push(nonce);
+            this.released.sort((a, b) => a - b);
+        }
+    }
+
+    // Book-keeping for a send that failed before the node accepted it
+    async recordFailure(nonce, error) {
+        if (NonceManager.isNonceTooLow(error)) {
+            // Someone else already used the nonce; move past it
+            this.pending.delete(nonce);
+            await this.withLock(() => this.sync());
+            return;
+        }
+        this.release(nonce);
+    }
+
+    pendingCount() {
+        return this.pending.size;
+    }
+
+    // When the longest-waiting broadcast was sent, or null if nothing is in flight
+    oldestPendingSentAt() {
+        const sentAt = Array.from(this.pending.values())
+            .filter(entry => entry.sentAt)
+            .map(entry => entry.sentAt);
+        return sentAt.length > 0 ? Math.min(...sentAt) : null;
+    }
+
+    static isNonceTooLow(error) {
+        const message = `${error.code || ''} ${error.message || ''}`.toLowerCase();
+        return message.includes('nonce_expired') ||
+            message.includes('nonce too low') ||
+            message.includes('nonce has already been used');
+    }
+
+    static isAlreadyKnown(error) {
+        const message = (error.message || '').toLowerCase();
+        return message.includes('already known') || message.includes('known transaction');
+    }
+
+    // Nonces below our highest pending one that no transaction in the mempool
+    // holds. A sent transaction only counts as dropped once it has been
+    // missing on dropAfterMisses checks in a row.
+    async findGaps() {
+        const provider = this.signer.provider;
+        const latestCount = await this.signer.getTransactionCount('latest');
+        const gaps = this.released
+            .filter(nonce => nonce >= latestCount && nonce < this.nextNonce)
+            .map(nonce => ({ nonce, rawTx: null }));
+
+        for (const [nonce, entry] of this.pending) {
+            if (nonce < latestCount || !entry.hash) continue;
+            const tx = await provider.getTransaction(entry.hash);
+            if (tx) {
+                entry.misses = 0;
+                continue;
+            }
+            entry.misses = (entry.misses || 0) + 1;
+            if (entry.misses >= this.dropAfterMisses) {
+                console.log(`! Pending transaction ${entry.hash} with nonce ${nonce} was dropped`);
+                gaps.push({ nonce, rawTx: entry.rawTx });
+            }
+        }
+        return gaps.sort((a, b) => a.nonce - b.nonce);
+    }
+
+    // Re-broadcast dropped transactions where possible, otherwise occupy the
+    // nonce with a zero-value transfer to ourselves
+    fillGaps() {
+        // Held under the lock so a released nonce is not handed out while being filled
+        return this.withLock(async () => {
+            await this.sync();
+            const gaps = await this.findGaps();
+            for (const gap of gaps) {
+                try {
+                    if (gap.rawTx) {
+                        try {
+                            const resent = await this.signer.provider.sendTransaction(gap.rawTx);
+                            this.markSent(gap.nonce, resent.hash, gap.rawTx);
+                            console.log(`✓ Re-broadcast dropped transaction with nonce ${gap.nonce}`);
+                            continue;
+                        } catch (error) {
+                            if (NonceManager.isNonceTooLow(error)) {
+                                // Mined after all, nothing to fill
+                                this.pending.delete(gap.nonce);
+                                continue;
+                            }
+                            if (NonceManager.isAlreadyKnown(error)) {
+                                // Still in the mempool, keep waiting on it
+                                this.pending.get(gap.nonce).misses = 0;
+                                continue;
+                            }
+                            console.log(`Re-broadcast of nonce ${gap.nonce} failed, filling instead:`, error.message);
+                        }
+                    }
+
+                    this.released = this.released.filter(nonce => nonce !== gap.nonce);
+                    const filler = await this.signer.sendTransaction({
+                        to: await this.signer.getAddress(),
+                        value: 0,
+                        gasLimit: 21000,
+                        nonce: gap.nonce
+                    });
+                    this.markSent(gap.nonce, filler.hash);
+                    console.log(`✓ Filled nonce gap ${gap.nonce} with ${filler.hash}`);
+                } catch (error) {
+                    console.error(`! Failed to fill nonce gap ${gap.nonce}:`, error.message);
+                    if (NonceManager.isNonceTooLow(error)) {
+                        this.pending.delete(gap.nonce);
+                    }
+                }
+            }
+            return gaps;
+        });
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.fillGaps().catch(error => console.error('! Nonce gap check failed:', error.message));
+        }, this.gapCheckInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = { NonceManager };
@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+
+const ERROR_SELECTOR = '0x08c379a0';  // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';  // Panic(uint256)
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+function isHexData(value) {
+    return typeof value === 'string' && ethers.utils.isHexString(value);
+}
+
+// ethers keeps the node's response body as text, or as hex-encoded bytes
+// when the request failed at the HTTP level
+function parseBody(body) {
+    if (typeof body !== 'string') return null;
+    try {
+        return JSON.parse(isHexData(body) ? ethers.utils.toUtf8String(body) : body);
+    } catch (error) {
+        return null;
+    }
+}
+
+// ethers nests the node's error a few levels deep and sometimes only keeps
+// the raw response body; dig out the revert data wherever it ended up
+function findRevertData(error, depth = 0) {
+    if (!error || depth > 5) return null;
+    if (isHexData(error.data)) return error.data;
+    if (error.data && isHexData(error.data.data)) return error.data.data;
+    const body = parseBody(error.body);
+    if (body && body.error) {
+        const data = findRevertData(body.error, depth + 1);
+        if (data) return data;
+    }
+    return findRevertData(error.error, depth + 1);
+}
+
+function decodeRevertReason(data) {
+    if (!data || data === '0x') {
+        return 'reverted without a reason';
+    }
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_SELECTOR) {
+            const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+            return reason;
+        }
+        if (selector === PANIC_SELECTOR) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+            const description = PANIC_REASONS[code.toNumber()] || 'unknown panic';
+            return `panic 0x${code.toNumber().toString(16).padStart(2, '0')} (${description})`;
+        }
+    } catch (error) {
+        return `malformed revert data ${data}`;
+    }
+    return `custom error ${selector}`;
+}
+
+function errorMessages(error, depth = 0) {
+    if (!error || depth > 5) return [];
+    const body = parseBody(error.body);
+    return [error.message, error.reason]
+        .concat(body && body.error ? errorMessages(body.error, depth + 1) : [])
+        .concat(errorMessages(error.error, depth + 1));
+}
+
+function isRevert(error) {
+    if (error.code === 'CALL_EXCEPTION' || findRevertData(error)) {
+        return true;
+    }
+    const text = errorMessages(error).filter(Boolean).join(' ').toLowerCase();
+    return text.includes('revert') || text.includes('invalid opcode') || text.includes('out of gas');
+}
+
+// Runs a relayed transaction through eth_call on the target chain with the
+// exact payload and sender before it is broadcast, so transactions that would
+// revert are caught without paying for them
+class PreflightSimulator {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.blockTag = options.blockTag || 'pending';
+    }
+
+    // Resolves with { ok: true } or { ok: false, reason, data }. Errors that
+    // are not reverts (network trouble and the like) are rethrown.
+    async simulate(tx, from) {
+        const call = {
+            from,
+            to: tx.to || undefined,
+            data: tx.data || '0x',
+            value: tx.value || 0
+        };
+        if (tx.gasLimit) {
+            call.gasLimit = tx.gasLimit;
+        }
+
+        try {
+            if (typeof this.provider.send === 'function') {
+                // provider.call() hands revert data back as if it were a result and
+                // reports unreachable nodes as reverts; the raw request does neither
+                const request = ethers.providers.JsonRpcProvider.hexlifyTransaction(call, { from: true });
+                await this.provider.send('eth_call', [request, this.blockTag]);
+            } else {
+                await this.provider.call(call, this.blockTag);
+            }
+            return { ok: true, reason: null, data: null };
+        } catch (error) {
+            if (!isRevert(error)) {
+                throw error;
+            }
+            const data = findRevertData(error);
+            return { ok: false, reason: decodeRevertReason(data), data };
+        }
+    }
+
+    // Error for a failed simulation; the retry policy treats it as permanent
+    static revertError(simulation) {
+        const error = new Error(`Pre-flight simulation reverted: ${simulation.reason}`);
+        error.code = 'PREFLIGHT_REVERTED';
+        error.revertReason = simulation.reason;
+        error.revertData = simulation.data;
+        return error;
+    }
+}
+
+module.exports = { PreflightSimulator, decodeRevertReason, findRevertData, isRevert };
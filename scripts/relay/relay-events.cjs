@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Lifecycle statuses a relay event can carry, in the order a relay goes through them
+const EVENT_STATUSES = ['queued', 'submitted', 'confirmed', 'failed', 'skipped', 'dead-lettered', 'verified', 'unverified', 'reorged'];
+
+// Addresses an event involves: the source transaction's sender and
+// recipient, and the relayer that sent it on the target chain
+function eventAddresses(event) {
+    return [event.from, event.to, event.relayer].filter(Boolean).map(address => address.toLowerCase());
+}
+
+// filter is { statuses, addresses } with either left empty to match everything
+function matchesFilter(event, filter = {}) {
+    if (filter.statuses && filter.statuses.length > 0 && !filter.statuses.includes(event.status)) {
+        return false;
+    }
+    if (filter.addresses && filter.addresses.length > 0) {
+        const addresses = eventAddresses(event);
+        return filter.addresses.some(address => addresses.includes(address.toLowerCase()));
+    }
+    return true;
+}
+
+// Numbered log of relay lifecycle events. Every event gets the next id, which
+// subscribers use as a cursor to pick up where they left off after
+// reconnecting. The newest `capacity` events are kept on disk, so cursors
+// stay valid across restarts; 'event' is emitted for each new one.
+//
+// Events are appended to the file as one JSON line each rather than
+// rewriting it on every event. Once it holds twice `capacity` lines it is
+// rewritten with the newest `capacity` only.
+class RelayEventLog extends EventEmitter {
+    constructor(filePath, options = {}) {
+        super();
+        // Every subscriber of the event stream listens here
+        this.setMaxListeners(0);
+        this.filePath = path.resolve(filePath);
+        this.capacity = options.capacity || 1000;
+        this.events = [];
+        this.fileLines = 0;
+        this.load();
+        this.lastId = this.events.length > 0 ? this.events[this.events.length - 1].id : 0;
+    }
+
+    publish(fields) {
+        const event = { id: ++this.lastId, at: new Date().toISOString(), ...fields };
+        this.events.push(event);
+        if (this.events.length > this.capacity) {
+            this.events.splice(0, this.events.length - this.capacity);
+        }
+        fs.appendFileSync(this.filePath, `${JSON.stringify(event)}\n`);
+        this.fileLines++;
+        if (this.fileLines >= this.capacity * 2) {
+            this.compact();
+        }
+        this.emit('event', event);
+        return event;
+    }
+
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (!fs.existsSync(this.filePath)) return;
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.events.push(JSON.parse(line));
+                this.fileLines++;
+            } catch (error) {
+                // A line cut short by a crash mid-append
+                console.error(`! Dropping unreadable relay event line in ${this.filePath}`);
+            }
+        }
+        this.events.splice(0, Math.max(0, this.events.length - this.capacity));
+        // Appending after a partial last line would corrupt the next event too
+        if (contents.length > 0 && !contents.endsWith('\n')) {
+            this.compact();
+        }
+    }
+
+    // Rewrites the file with the events kept in memory, via a temp file like JsonFileStore
+    compact() {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, this.events.map(event => `${JSON.stringify(event)}\n`).join(''));
+        fs.renameSync(tmpPath, this.filePath);
+        this.fileLines = this.events.length;
+    }
+
+    // Oldest id still kept, or null while the log is empty
+    get oldestId() {
+        return this.events.length > 0 ? this.events[0].id : null;
+    }
+
+    // Events after cursor that match filter. missed is true when events
+    // after the cursor have already been dropped from the log.
+    since(cursor, filter = {}) {
+        const after = cursor || 0;
+        const events = this.events.filter(event => event.id > after && matchesFilter(event, filter));
+        const missed = this.oldestId !== null && after < this.oldestId - 1;
+        return { events, missed };
+    }
+}
+
+module.exports = { RelayEventLog, matchesFilter, EVENT_STATUSES };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonFileStore } = require('../storage/json-store.cjs');
+
+// Ledger key for relaying one source transaction to one target chain
+function relayKey(target, sourceHash) {
+    return `${target}:${sourceHash}`;
+}
+
+function splitRelayKey(key) {
+    const separator = key.indexOf(':');
+    return { target: key.slice(0, separator), sourceHash: key.slice(separator + 1) };
+}
+
+// Durable map of relay key (target chain and source transaction hash) ->
+// relay record. Status moves pending -> in-flight -> submitted -> confirmed,
+// or to failed; a failed entry is picked up again by the next attempt rather
+// than replaced.
+// Transactions the relay policy rejects are recorded as skipped.
+//
+// Every change appends the updated entry to the file as one JSON line, the
+// last line for a key winning on load. Once the file holds twice as many
+// lines as there are entries it is rewritten with one line per entry.
+class RelayLedger {
+    // Entries written before relays had a target chain are filed under
+    // options.legacyTarget. options.legacyFilePath is the JSON file ledgers
+    // were kept in before, read once when filePath does not exist yet.
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath);
+        this.legacyTarget = options.legacyTarget;
+        this.entries = new Map();
+        this.fileLines = 0;
+        this.load(options.legacyFilePath);
+    }
+
+    load(legacyFilePath) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        if (!fs.existsSync(this.filePath)) {
+            if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+                Object.values(new JsonFileStore(legacyFilePath).read().entries || {}).forEach(entry => this.add(entry));
+                this.compact();
+                console.log(`Moved ${this.entries.size} relay ledger entries from ${legacyFilePath} to ${this.filePath}`);
+            }
+            return;
+        }
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.add(JSON.parse(line));
+                this.fileLines++;
+            } catch (error) {
+                // A line cut short by a crash mid-append
+                console.error(`! Dropping unreadable relay ledger line in ${this.filePath}`);
+            }
+        }
+        // Appending after a partial last line would corrupt the next entry too
+        if (contents.length > 0 && !contents.endsWith('\n')) {
+            this.compact();
+        }
+    }
+
+    add(entry) {
+        const target = entry.target || this.legacyTarget;
+        const key = relayKey(target, entry.sourceHash);
+        this.entries.set(key, { ...entry, key, target });
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    // Records of one source transaction on every target chain
+    forSource(sourceHash) {
+        return Array.from(this.entries.values()).filter(entry => entry.sourceHash === sourceHash);
+    }
+
+    // Claim the source transaction for a new attempt, reusing any existing entry
+    begin(key, details = {}) {
+        const existing = this.get(key);
+        const now = new Date().toISOString();
+        const entry = existing ? {
+            ...existing,
+            ...details,
+            attempts: existing.attempts + 1,
+            updatedAt: now
+        } : {
+            key,
+            ...splitRelayKey(key),
+            targetHash: null,
+            status: 'pending',
+            attempts: 1,
+            lastError: null,
+            ...details,
+            createdAt: now,
+            updatedAt: now
+        };
+        return this.save(entry);
+    }
+
+    // The attempt holds target nonce `nonce` and is about to sign; an entry
+    // left in-flight means its run stopped before anything was sent
+    markInFlight(key, nonce) {
+        return this.update(key, { status: 'in-flight', nonce });
+    }
+
+    markSubmitted(key, targetHash, details = {}) {
+        return this.update(key, { ...details, targetHash, status: 'submitted' });
+    }
+
+    markConfirmed(key, details = {}) {
+        return this.update(key, { ...details, status: 'confirmed', lastError: null });
+    }
+
+    markFailed(key, error) {
+        return this.update(key, {
+            status: 'failed',
+            lastError: error instanceof Error ? error.message : String(error)
+        });
+    }
+
+    markSkipped(key, details = {}) {
+        if (!this.has(key)) {
+            const now = new Date().toISOString();
+            return this.save({
+                key,
+                ...splitRelayKey(key),
+                targetHash: null,
+                status: 'skipped',
+                attempts: 0,
+                lastError: null,
+                ...details,
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+        return this.update(key, { ...details, status: 'skipped' });
+    }
+
+    recordRetryDecision(key, decision) {
+        const existing = this.get(key);
+        return this.update(key, { retryDecisions: [...(existing.retryDecisions || []), decision] });
+    }
+
+    update(key, fields) {
+        const existing = this.get(key);
+        if (!existing) {
+            throw new Error(`No ledger entry for relay ${key}`);
+        }
+        return this.save({ ...existing, ...fields, updatedAt: new Date().toISOString() });
+    }
+
+    list(filter = {}) {
+        return Array.from(this.entries.values())
+            .filter(entry => !filter.status || entry.status === filter.status)
+            .filter(entry => !filter.target || entry.target === filter.target);
+    }
+
+    save(entry) {
+        this.entries.set(entry.key, entry);
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        this.fileLines++;
+        if (this.fileLines >= this.entries.size * 2) {
+            this.compact();
+        }
+        return entry;
+    }
+
+    // Rewrites the file with one line per entry, via a temp file like JsonFileStore
+    compact() {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, Array.from(this.entries.values()).map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        fs.renameSync(tmpPath, this.filePath);
+        this.fileLines = this.entries.size;
+    }
+}
+
+module.exports = { RelayLedger, relayKey, splitRelayKey };
@@ -1,141 +1,619 @@
+const path = require('path');
 const { ethers } = require('ethers');
 const { MockWebSocketProvider } = require('../mock/mock-provider.cjs');
-const config = require('../config/network-config.cjs');
+const { CheckpointStore } = require('./checkpoint-store.cjs');
+const { BlockBackfiller } = require('./block-backfill.cjs');
+const { ReorgGuard } = require('./reorg-guard.cjs');
+const { RelayLedger, relayKey, splitRelayKey } = require('./relay-ledger.cjs');
+const { RelayEventLog } = require('./relay-events.cjs');
+const { RetryPolicy } = require('./retry-policy.cjs');
+const { FeeOracle } = require('./fee-oracle.cjs');
+const { DeadLetterQueue } = require('./dead-letter-queue.cjs');
+const { NonceManager } = require('./nonce-manager.cjs');
+const { RelayWorkQueue, PRIORITIES } = require('./work-queue.cjs');
+const { RelayPolicy } = require('./relay-policy.cjs');
+const { SpendingBudget } = require('./spend-budget.cjs');
+const { createSigner, DEV_SIGNER } = require('./signer-factory.cjs');
+const { PreflightSimulator } = require('./preflight.cjs');
+const { StuckTransactionWatcher } = require('./stuck-tx-watcher.cjs');
+const { createRpcProvider, redactUrl } = require('./failover-provider.cjs');
+const { EtherscanVerifier } = require('./etherscan-verifier.cjs');
+const { resolveTargets } = require('./target-chains.cjs');
+const { ChainExplorers } = require('./explorers.cjs');
+const { resolveSources } = require('./source-chains.cjs');
+
+// State recorded before sources and targets were configurable all came from
+// the DeFi Oracle Meta chain and went to Ethereum mainnet
+const LEGACY_SOURCE = 'defi-oracle-meta';
+const LEGACY_TARGET = 'ethereum';
+
+// The fields of a sent transaction needed to sign a replacement for it
+function unsignedTransaction(sent) {
+    const tx = {
+        to: sent.to,
+        value: sent.value,
+        data: sent.data,
+        gasLimit: sent.gasLimit,
+        nonce: sent.nonce,
+        chainId: sent.chainId,
+        type: sent.type
+    };
+    if (sent.maxFeePerGas) {
+        tx.maxFeePerGas = sent.maxFeePerGas;
+        tx.maxPriorityFeePerGas = sent.maxPriorityFeePerGas;
+    } else {
+        tx.gasPrice = sent.gasPrice;
+    }
+    return tx;
+}
 
 class RelayManager {
-    constructor(config) {
+    constructor(config, options = {}) {
         this.config = {
-            ...require('../config/network-config.cjs'),  // Default config
+            // Default config, unless config was already built by loadConfig
+            ...(config && config.profile ? {} : require('../config/network-config.cjs')),
             ...config  // Override with provided config
         };
-        this.provider = null;
-        this.ethProvider = null;
-        this.wallet = null;  // Add wallet for signing transactions
+        this.metricsCollector = options.metricsCollector || null;  // Prometheus collector from monitoring/metrics.js
+        // Everything up to the relay decision runs, but nothing is signed or sent
+        this.dryRun = !!options.dryRun;
+        // Relay keys with an attempt running in this process
+        this.relaysInFlight = new Set();
         this.metrics = {
             transactions: 0,
             successful: 0,
             failed: 0,
             retries: 0,
-            disconnections: 0
+            disconnections: 0,
+            gapsDetected: 0,
+            backfilledBlocks: 0,
+            reorgs: 0,
+            reorgedOutTransactions: 0,
+            deadLettered: 0,
+            skipped: 0  // Denied by the relay policy
         };
         this.connectionState = {
             source: false,
             target: false
         };
+        // Chains whose transactions are relayed, each with its own provider and checkpoint
+        this.sources = new Map(resolveSources(this.config).map(source => [source.name, this.createSource(source)]));
+        this.ledger = new RelayLedger(path.join(this.config.storage.dataDir, 'relay-ledger.jsonl'), {
+            legacyTarget: LEGACY_TARGET,
+            legacyFilePath: path.join(this.config.storage.dataDir, 'relay-ledger.json')
+        });
+        this.deadLetters = new DeadLetterQueue(path.join(this.config.storage.dataDir, 'dead-letters.json'));
+        // Lifecycle of every relay, for the admin API's event stream
+        this.events = new RelayEventLog(path.join(this.config.storage.dataDir, 'relay-events.jsonl'), {
+            capacity: this.config.events.capacity
+        });
+        this.policy = RelayPolicy.fromConfig(this.config.policy);
+        this.stopped = false;
+        this.manuallyPaused = false;
+        // Every source transaction is relayed to each of these, in order
+        this.targets = new Map(resolveTargets(this.config).map(target => [target.name, this.createTarget(target)]));
+        this.retryPolicy = new RetryPolicy({
+            maxAttempts: this.config.metrics.retryAttempts,
+            baseDelay: this.config.metrics.retryDelay,
+            maxDelay: this.config.metrics.maxRetryDelay,
+            jitter: this.config.metrics.retryJitter
+        });
+        this.workQueue = new RelayWorkQueue(task => this.relayTransaction(task.sourceHash, {
+            source: task.source || LEGACY_SOURCE,
+            target: task.target || LEGACY_TARGET,
+            escalateFees: task.escalateFees
+        }), {
+            filePath: path.join(this.config.storage.dataDir, 'relay-queue.json'),
+            concurrency: this.config.queue.concurrency,
+            highWaterMark: this.config.queue.highWaterMark,
+            onDepthChange: (depth) => {
+                if (this.metricsCollector) {
+                    this.metricsCollector.updateQueueSize(depth);
+                }
+            }
+        });
+        this.reorgReports = [];
+        // Explorer verifications running in the background, by relay key
+        this.verifications = new Map();
     }
 
     async initialize() {
         // Initialize providers based on configuration
         if (this.config.mock.enabled) {
             console.log('Using mock providers for development');
-            // Initialize source network mock provider
-            const sourceConfig = this.config.sourceNetwork;
-            console.log('Initializing source network with config:', {
-                chainId: sourceConfig.chainId,
-                networkId: sourceConfig.networkId,
-                name: sourceConfig.name
-            });
-            this.provider = new MockWebSocketProvider(sourceConfig.ws || sourceConfig.rpc, {
-                chainId: sourceConfig.chainId || 138,
-                networkId: sourceConfig.networkId || 1,
-                name: sourceConfig.name || 'defi-oracle-meta'
-            });
-            // Initialize target network provider (always use JsonRpcProvider for mainnet)
-            const ethereumConfig = this.config.ethereum;
-            console.log('Initializing Ethereum mainnet provider...');
+        } else {
+            console.log('Using real WebSocket provider');
+        }
+        // Target chains are real JSON-RPC endpoints even in mock mode
+        await this.connectTargets();
+        for (const source of this.sources.values()) {
+            await this.connectSource(source);
+        }
+        if (this.config.mock.enabled) {
+            await this.waitForConnections();
+        }
 
-            // Use minimal network configuration for Ethereum mainnet
-            this.ethProvider = new ethers.providers.JsonRpcProvider(
-                'https://rpc.ankr.com/eth',
-                { chainId: 1, name: 'mainnet' }
-            );
+        this.workQueue.restore();
+        this.resumeVerifications();
+        for (const source of this.sources.values()) {
+            await this.resumeFromCheckpoint(source);
+        }
+    }
 
-            // Initialize test wallet for signing transactions
-            const testPrivateKey = '0x' + '1'.repeat(64); // Test private key for mock transactions
-            this.wallet = new ethers.Wallet(testPrivateKey, this.ethProvider);
+    // Per-chain block intake state; the provider is created by connectSource()
+    createSource(source) {
+        // Keep the checkpoint written before there was more than one source
+        const checkpointFile = source.name === LEGACY_SOURCE ? 'checkpoint.json' : `checkpoint-${source.name}.json`;
+        return {
+            ...source,
+            explorers: new ChainExplorers(source.explorers),
+            provider: null,
+            connected: false,
+            verified: false,  // Chain ID checked by waitForConnections()
+            checkpoint: new CheckpointStore(path.join(this.config.storage.dataDir, checkpointFile)),
+            reorgGuard: new ReorgGuard({ window: this.config.confirmations.reorgWindow }),
+            lastProcessedBlock: null,
+            latestSeenBlock: null,
+            syncing: false,
+            blockProcessing: Promise.resolve(),
+            metrics: { blocks: 0, gapsDetected: 0, backfilledBlocks: 0, reorgs: 0, disconnections: 0 }
+        };
+    }
 
-            console.log('Ethereum provider initialized with Ankr RPC endpoint');
+    async connectSource(source) {
+        console.log(`Initializing source chain ${source.name}:`, {
+            chainId: source.chainId,
+            networkId: source.networkId,
+            confirmations: source.confirmations
+        });
+        // A single ws endpoint pushes new blocks; with several endpoints they
+        // are polled through whichever endpoint is healthiest
+        source.provider = this.config.mock.enabled ?
+            new MockWebSocketProvider(source.ws[0] || source.rpc[0], {
+                chainId: source.chainId,
+                networkId: source.networkId,
+                name: source.name
+            }) :
+            createRpcProvider(source.ws.concat(source.rpc), { chainId: source.chainId, name: source.name }, this.config.rpc);
 
-            // Set up event listeners for source provider only
-            this.provider.on('connect', () => this.handleConnect('source'));
-            this.provider.on('disconnect', () => this.handleDisconnect('source'));
-            this.provider.on('block', (blockNumber) => this.handleNewBlock(blockNumber));
+        source.provider.on('connect', () => this.handleConnect(source));
+        source.provider.on('disconnect', () => this.handleDisconnect(source));
+        source.provider.on('block', (blockNumber) => this.handleNewBlock(source, blockNumber));
 
-            // Verify Ethereum provider network
-            try {
-                const network = await this.ethProvider.getNetwork();
-                console.log('Ethereum provider network detected:', network);
-                this.handleConnect('target');
-            } catch (error) {
-                console.log('Failed to detect Ethereum network:', error.message);
-                throw error;
+        if (typeof source.provider.connect === 'function') {
+            console.log(`Connecting to source network ${source.name}...`);
+            await source.provider.connect();
+        }
+        if (!this.config.mock.enabled) {
+            const chainId = parseInt(await source.provider.send('eth_chainId', []), 16);
+            if (chainId !== source.chainId) {
+                throw new Error(`Source ${source.name} is chain ${chainId}, expected ${source.chainId}`);
             }
+            this.handleConnect(source);
+        }
+    }
 
-            // Connect source provider and wait for connections
-            console.log('Connecting to source network...');
-            await this.provider.connect();
-            await this.waitForConnections();
-        } else {
-            console.log('Using real WebSocket provider');
-            const sourceConfig = this.config.sourceNetwork;
-            this.provider = new ethers.providers.WebSocketProvider(sourceConfig.ws || sourceConfig.rpc, {
-                chainId: sourceConfig.chainId,
-                name: sourceConfig.name || 'source-network'
-            });
-            // Initialize Ethereum mainnet provider for relay
-            const ethereumConfig = this.config.ethereum;
-            const network = {
-                name: 'mainnet',
-                chainId: 1,
-                ensAddress: null,
-                _defaultProvider: null
-            };
+    // Source chain by name; the primary (first configured) source by default
+    getSource(name) {
+        const source = name ? this.sources.get(name) : this.sources.values().next().value;
+        if (!source) {
+            const error = new Error(`Unknown source chain "${name}", configured sources are ${Array.from(this.sources.keys()).join(', ')}`);
+            error.code = 'UNKNOWN_SOURCE';
+            throw error;
+        }
+        return source;
+    }
+
+    // Per-chain relay state; the provider and signer are created by connectTargets()
+    createTarget(target) {
+        // Keep the budget history recorded before there was more than one target
+        const budgetFile = target.name === LEGACY_TARGET ? 'relay-budget.json' : `relay-budget-${target.name}.json`;
+        return {
+            ...target,
+            explorers: new ChainExplorers(target.explorers),
+            provider: null,
+            wallet: null,
+            address: null,
+            nonceManager: null,
+            preflight: null,
+            feeOracle: null,
+            connected: false,
+            verifier: target.etherscan && this.config.verification.enabled ?
+                new EtherscanVerifier({ ...this.config.verification, ...target.etherscan }) :
+                null,
+            budget: new SpendingBudget(path.join(this.config.storage.dataDir, budgetFile), target.budget, {
+                onPauseChange: paused => this.handleBudgetPause(target.name, paused)
+            })
+        };
+    }
 
-            this.ethProvider = new ethers.providers.JsonRpcProvider(
-                ethereumConfig.rpc,
-                network
-            );
+    // Create each target chain's provider and signer, and make sure the
+    // endpoint really is the chain it is configured as
+    async connectTargets() {
+        for (const target of this.targets.values()) {
+            console.log(`Initializing target chain ${target.name} (chain ID ${target.chainId})...`);
+            target.provider = createRpcProvider(target.rpc, {
+                chainId: target.chainId,
+                name: target.name
+            }, this.config.rpc);
 
-            // Set up event listeners
-            this.provider.on('connect', () => this.handleConnect('source'));
-            this.provider.on('disconnect', () => this.handleDisconnect('source'));
-            this.provider.on('block', (blockNumber) => this.handleNewBlock(blockNumber));
+            // Sign with the target's own backend, the shared one, or in mock
+            // mode a development key if there is none
+            const shared = this.config.signer;
+            const signerConfig = target.signer ||
+                (shared.type || shared.privateKey || !this.config.mock.enabled ? shared : DEV_SIGNER);
+            target.wallet = await createSigner(signerConfig, target.provider);
+            target.address = await target.wallet.getAddress();
+            console.log(`Relayer signer address on ${target.name}:`, target.address);
 
-            await this.provider.connect();
-            await this.verifyNetworkConnection(this.provider, 'source');
-            await this.verifyNetworkConnection(this.ethProvider, 'target');
+            const chainId = parseInt(await target.provider.send('eth_chainId', []), 16);
+            if (chainId !== target.chainId) {
+                throw new Error(`Target ${target.name} at ${target.rpc.map(redactUrl).join(', ')} is chain ${chainId}, expected ${target.chainId}`);
+            }
+            target.connected = true;
+            console.log(`✓ Connected to target ${target.name}`);
         }
+        this.connectionState.target = true;
     }
 
-    async handleConnect(network) {
-        console.log(`✓ Connected to ${network} provider`);
-        this.connectionState[network] = true;
+    // Target chain by name; the primary (first configured) target by default
+    getTarget(name) {
+        const target = name ? this.targets.get(name) : this.targets.values().next().value;
+        if (!target) {
+            const error = new Error(`Unknown target chain "${name}", configured targets are ${Array.from(this.targets.keys()).join(', ')}`);
+            error.code = 'UNKNOWN_TARGET';
+            throw error;
+        }
+        return target;
     }
 
-    async handleDisconnect(network) {
-        console.log(`! Network disconnection detected for ${network}`);
-        this.connectionState[network] = false;
+    async resumeFromCheckpoint(source) {
+        const checkpoint = source.checkpoint.load();
+        if (!checkpoint) {
+            console.log(`No checkpoint found for ${source.name}, relaying from live blocks only`);
+            return;
+        }
+
+        source.lastProcessedBlock = checkpoint.blockNumber;
+        source.reorgGuard.load(checkpoint.recentBlocks);
+        console.log(`Resuming ${source.name} from checkpoint at block ${checkpoint.blockNumber}`);
+
+        // Live block events are held back while catching up; the loop keeps
+        // walking until it reaches whichever head it has seen last
+        source.syncing = true;
+        try {
+            let head = await source.provider.getBlockNumber();
+            if (head < source.lastProcessedBlock) {
+                console.log(`! Checkpoint block ${source.lastProcessedBlock} of ${source.name} is ahead of chain head ${head}`);
+            }
+            let target = this.confirmedBlockNumber(source, Math.max(head, source.latestSeenBlock || 0));
+            while (source.lastProcessedBlock < target) {
+                await this.backfillSource(source, source.lastProcessedBlock + 1, target);
+                head = await source.provider.getBlockNumber();
+                target = this.confirmedBlockNumber(source, Math.max(head, source.latestSeenBlock || 0));
+            }
+        } finally {
+            source.syncing = false;
+        }
+        console.log(`✓ Caught up ${source.name} to block ${source.lastProcessedBlock}`);
+    }
+
+    async handleConnect(source) {
+        console.log(`✓ Connected to source ${source.name} provider`);
+        source.connected = true;
+        this.connectionState.source = Array.from(this.sources.values()).every(other => other.connected);
+    }
+
+    async handleDisconnect(source) {
+        if (this.stopped) {
+            return;
+        }
+        console.log(`! Network disconnection detected for source ${source.name}`);
+        source.connected = false;
+        this.connectionState.source = false;
         this.metrics.disconnections++;
-        console.log(`Attempting reconnection to ${network}...`);
-        const provider = network === 'source' ? this.provider : this.ethProvider;
-        await provider.connect();
+        source.metrics.disconnections++;
+        console.log(`Attempting reconnection to ${source.name}...`);
+        await source.provider.connect();
+    }
+
+    async handleNewBlock(source, blockNumber) {
+        console.log(`New block received from ${source.name}: ${blockNumber}`);
+        source.latestSeenBlock = Math.max(source.latestSeenBlock || 0, blockNumber);
+        if (source.syncing) {
+            return;
+        }
+
+        // Process blocks one at a time so the checkpoint only ever moves forward
+        source.blockProcessing = source.blockProcessing
+            .then(() => this.processIncomingBlock(source, blockNumber))
+            .catch(error => console.error(`! Error processing ${source.name} block ${blockNumber}:`, error.message));
+        return source.blockProcessing;
+    }
+
+    // Highest block considered final enough to relay given the current head
+    confirmedBlockNumber(source, headNumber) {
+        return headNumber - source.confirmations;
+    }
+
+    async processIncomingBlock(source, headNumber) {
+        const blockNumber = this.confirmedBlockNumber(source, headNumber);
+        if (blockNumber < 0) {
+            return;
+        }
+        if (source.lastProcessedBlock !== null) {
+            if (blockNumber <= source.lastProcessedBlock) {
+                console.log(`Skipping ${source.name} block ${blockNumber}, already processed up to ${source.lastProcessedBlock}`);
+                return;
+            }
+            if (blockNumber > source.lastProcessedBlock + 1) {
+                // Blocks were emitted while the connection was down
+                console.log(`! Gap detected on ${source.name}: missed blocks ${source.lastProcessedBlock + 1}-${blockNumber - 1}`);
+                this.metrics.gapsDetected++;
+                source.metrics.gapsDetected++;
+                await this.backfillSource(source, source.lastProcessedBlock + 1, blockNumber - 1);
+            }
+        }
+        await this.processBlock(source, blockNumber);
+    }
+
+    async processBlock(source, blockNumber) {
+        const block = await source.provider.getBlockWithTransactions(blockNumber);
+        if (!block) {
+            throw new Error(`Block ${blockNumber} not found on ${source.name}`);
+        }
+        await this.relayConfirmedBlock(source, block);
+    }
+
+    // Relay the next block after the checkpoint, first making sure it still
+    // builds on the block processed before it
+    async relayConfirmedBlock(source, block, priority = PRIORITIES.live) {
+        let relayedBeforeReorg = null;
+        if (!source.reorgGuard.isContinuous(block)) {
+            relayedBeforeReorg = await this.handleReorg(source, block);
+        }
+
+        await this.relayBlock(source, block, relayedBeforeReorg, priority);
+        // An API backfill runs beside live processing, which may have moved
+        // the checkpoint while this block's relays waited for queue capacity
+        if (source.lastProcessedBlock === null || block.number === source.lastProcessedBlock + 1) {
+            this.markBlockProcessed(source, block);
+        }
+
+        if (relayedBeforeReorg) {
+            this.reportReorgedTransactions(relayedBeforeReorg);
+        }
     }
 
-    async handleNewBlock(blockNumber) {
-        console.log(`New block received: ${blockNumber}`);
-        const block = await this.provider.getBlock(blockNumber);
+    // Queue the block's transactions for relaying to every target. Transactions
+    // found in alreadyRelayed were taken from a block that has since been
+    // reorganised away; they are not queued a second time.
+    async relayBlock(source, block, alreadyRelayed = null, priority = PRIORITIES.live) {
         if (block && block.transactions) {
-            for (const txHash of block.transactions) {
-                await this.relayTransaction(txHash);
+            // Blocks are fetched with their transactions, so the queued
+            // events get their addresses without a lookup per transaction
+            for (const tx of block.transactions) {
+                const txHash = typeof tx === 'string' ? tx : tx.hash;
+                if (alreadyRelayed && alreadyRelayed.has(txHash)) {
+                    alreadyRelayed.delete(txHash);
+                    continue;
+                }
+                await this.enqueueRelay(txHash, { source: source.name, blockNumber: block.number, priority, from: tx.from, to: tx.to });
+            }
+        }
+    }
+
+    // Queues one relay per target chain (all of them unless targets is given)
+    // for a transaction on the given source chain (the primary source by
+    // default). Blocks until the work queue has room, so slow sends hold back
+    // block intake. from and to, the source transaction's addresses, go on
+    // the queued events for event stream clients filtering by address.
+    async enqueueRelay(txHash, { source = this.getSource().name, blockNumber = null, priority = PRIORITIES.live, targets = Array.from(this.targets.keys()), from = null, to = null } = {}) {
+        const queued = [];
+        for (const target of targets) {
+            await this.workQueue.waitForCapacity();
+            const key = relayKey(target, txHash);
+            const pushed = this.workQueue.push({ id: key, sourceHash: txHash, source, target, blockNumber, priority });
+            if (pushed) {
+                this.publishEvent('queued', key, { source, sourceBlockNumber: blockNumber, from: from ?? null, to: to ?? null });
+            }
+            queued.push(pushed);
+        }
+        return queued;
+    }
+
+    // Rewind to the last block both chains agree on and relay the new
+    // canonical blocks up to (not including) block. Returns the transactions
+    // relayed from orphaned blocks that the new chain has not included yet.
+    async handleReorg(source, block) {
+        const previous = source.reorgGuard.get(block.number - 1);
+        console.error(`! Reorg detected on ${source.name} at block ${block.number}: parent ${block.parentHash} does not match processed block hash ${previous.hash}`);
+        this.metrics.reorgs++;
+        source.metrics.reorgs++;
+
+        const ancestor = await source.reorgGuard.findCommonAncestor(source.provider, block.number - 1);
+        if (ancestor === null) {
+            throw new Error(`Reorg on ${source.name} at block ${block.number} is deeper than the ${source.reorgGuard.window} tracked blocks`);
+        }
+
+        const orphanedBlocks = source.reorgGuard.rewind(ancestor);
+        const relayedBeforeReorg = new Map();
+        for (const orphan of orphanedBlocks) {
+            for (const txHash of orphan.transactions) {
+                relayedBeforeReorg.set(txHash, orphan);
+            }
+        }
+        source.lastProcessedBlock = ancestor;
+        console.log(`Rewound ${source.name} to common ancestor block ${ancestor}, ${orphanedBlocks.length} block(s) orphaned`);
+
+        this.reorgReports.push({
+            source: source.name,
+            detectedAt: new Date().toISOString(),
+            blockNumber: block.number,
+            commonAncestor: ancestor,
+            orphanedBlocks: orphanedBlocks.map(({ number, hash }) => ({ number, hash })),
+            reorgedOutTransactions: []
+        });
+
+        for (let number = ancestor + 1; number < block.number; number++) {
+            const canonical = await source.provider.getBlockWithTransactions(number);
+            if (!canonical) {
+                throw new Error(`Block ${number} not found on ${source.name} while replaying reorg`);
             }
+            await this.relayBlock(source, canonical, relayedBeforeReorg);
+            this.markBlockProcessed(source, canonical);
         }
+
+        return relayedBeforeReorg;
     }
 
-    async relayTransaction(txHash) {
+    reportReorgedTransactions(relayedBeforeReorg) {
+        if (relayedBeforeReorg.size === 0) {
+            return;
+        }
+
+        const report = this.reorgReports[this.reorgReports.length - 1];
+        for (const [txHash, orphan] of relayedBeforeReorg) {
+            const relayedTo = [];
+            for (const target of this.targets.keys()) {
+                const key = relayKey(target, txHash);
+                // Still waiting in the queue, so it can simply be dropped
+                if (!this.ledger.has(key) && this.workQueue.cancel(key)) {
+                    console.log(`Dropped queued relay of ${txHash} to ${target} from orphaned block ${orphan.number}`);
+                } else {
+                    relayedTo.push(target);
+                }
+            }
+            if (relayedTo.length === 0) {
+                continue;
+            }
+            console.error(`! Transaction ${txHash} relayed to ${relayedTo.join(', ')} from orphaned block ${orphan.number} (${orphan.hash}) is no longer on the source chain`);
+            for (const target of relayedTo) {
+                this.publishEvent('reorged', relayKey(target, txHash), { sourceBlockNumber: orphan.number, sourceBlockHash: orphan.hash });
+            }
+            report.reorgedOutTransactions.push({ hash: txHash, blockNumber: orphan.number, blockHash: orphan.hash, targets: relayedTo });
+            this.metrics.reorgedOutTransactions++;
+        }
+    }
+
+    getReorgReports() {
+        return this.reorgReports;
+    }
+
+    // Fetch and relay every block in [from, to] of options.source (the
+    // primary source by default)
+    async backfill(from, to, options = {}) {
+        return this.backfillSource(this.getSource(options.source), from, to, options);
+    }
+
+    // The checkpoint only advances when the range continues directly from it,
+    // checked again by relayConfirmedBlock once the block is queued, so
+    // re-relaying an old range never moves it backwards or past unprocessed
+    // blocks
+    async backfillSource(source, from, to, options = {}) {
+        const backfiller = new BlockBackfiller(source.provider, {
+            concurrency: options.concurrency || this.config.backfill.concurrency,
+            fetchBlock: blockNumber => source.provider.getBlockWithTransactions(blockNumber),
+            onProgress: options.onProgress
+        });
+
+        return backfiller.run(from, to, async (block) => {
+            this.metrics.backfilledBlocks++;
+            source.metrics.backfilledBlocks++;
+            if (source.lastProcessedBlock !== null && block.number === source.lastProcessedBlock + 1) {
+                await this.relayConfirmedBlock(source, block, PRIORITIES.backfill);
+            } else {
+                await this.relayBlock(source, block, null, PRIORITIES.backfill);
+            }
+        });
+    }
+
+    markBlockProcessed(source, block) {
+        source.lastProcessedBlock = block.number;
+        source.metrics.blocks++;
+        source.reorgGuard.record(block);
+        source.checkpoint.save(block.number, block.hash, source.reorgGuard.toJSON());
+        if (this.metricsCollector) {
+            this.metricsCollector.updateBlockHeight(block.number, source.name);
+        }
+    }
+
+    // Relays one transaction from a source chain (options.source) to a target
+    // chain (options.target), the primary source and target by default
+    async relayTransaction(txHash, options = {}) {
+        const source = this.getSource(options.source);
+        const target = this.getTarget(options.target);
+        const key = relayKey(target.name, txHash);
+        const existing = this.ledger.get(key);
+        if (existing && existing.status === 'confirmed') {
+            console.log(`Skipping ${txHash}, already relayed to ${target.name} as ${existing.targetHash}`);
+            return existing;
+        }
+        // A second attempt running alongside would sign with another nonce and relay twice
+        if (this.relaysInFlight.has(key)) {
+            console.log(`Skipping ${txHash}, a relay to ${target.name} is already in flight`);
+            return existing;
+        }
+        if (existing && existing.status === 'in-flight') {
+            console.log(`Relaying ${txHash} to ${target.name} again, an earlier run stopped before sending with nonce ${existing.nonce}`);
+        }
+        this.relaysInFlight.add(key);
+
+        let sourceTx = null;
+        let fees = null;
+        let nonce = null;
+        let sent = false;
         try {
-            this.metrics.transactions++;
-            const tx = await this.provider.getTransaction(txHash);
+            // An earlier attempt, possibly before a restart, already broadcast
+            // this transaction; follow it instead of sending a second copy
+            const broadcast = existing && existing.targetHash ? await this.findBroadcast(target, existing) : [];
+            if (broadcast.length > 0) {
+                console.log(`Resuming relay of ${txHash} to ${target.name}, waiting on ${existing.targetHash}`);
+                this.metrics.transactions++;
+                this.ledger.begin(key);
+                const { receipt, hash } = await this.waitForRelay(target, key, broadcast[0].tx.nonce, broadcast);
+                return this.finalizeRelay(source, target, txHash, hash, receipt);
+            }
+
+            const tx = await source.provider.getTransaction(txHash);
             if (!tx) return;
+            sourceTx = tx;
+
+            const verdict = this.policy.evaluate(tx);
+            if (!verdict.allowed) {
+                console.log(`Skipping ${txHash} for ${target.name}, denied by relay policy ${verdict.rule ? `rule "${verdict.rule}"` : 'default action'} (${verdict.reason})`);
+                this.metrics.skipped++;
+                this.countRelay(source, target, 'skipped');
+                const skipped = this.ledger.markSkipped(key, { source: source.name, from: tx.from, to: tx.to || null, policyRule: verdict.rule, policyReason: verdict.reason });
+                this.publishEvent('skipped', key, { reason: verdict.reason });
+                return skipped;
+            }
+
+            // Would the relayed copy revert on the target chain?
+            const simulation = this.config.preflight.enabled ?
+                await this.getPreflight(target).simulate(tx, await target.wallet.getAddress()) :
+                null;
+            if (simulation && !simulation.ok && this.config.preflight.onRevert === 'skip') {
+                console.log(`Skipping ${txHash} for ${target.name}, pre-flight simulation reverted: ${simulation.reason}`);
+                this.metrics.skipped++;
+                this.countRelay(source, target, 'skipped');
+                const skipped = this.ledger.markSkipped(key, { source: source.name, from: tx.from, to: tx.to || null, preflightReason: simulation.reason });
+                this.publishEvent('skipped', key, { reason: simulation.reason });
+                return skipped;
+            }
+            if (this.dryRun) {
+                const outcome = simulation && !simulation.ok ? `, though its simulation reverts (${simulation.reason})` : '';
+                console.log(`[dry run] Would relay ${txHash} from ${source.name} to ${target.name}: to ${tx.to}, value ${ethers.BigNumber.from(tx.value).toString()}, gas limit ${ethers.BigNumber.from(tx.gasLimit).toString()}${outcome}`);
+                const skipped = this.ledger.markSkipped(key, { source: source.name, from: tx.from, to: tx.to || null, dryRun: true });
+                this.publishEvent('skipped', key, { reason: 'dry run' });
+                return skipped;
+            }
+            this.metrics.transactions++;
+
+            this.ledger.begin(key, { source: source.name, sourceBlockNumber: tx.blockNumber ?? null, from: tx.from, to: tx.to || null });
+            if (simulation && !simulation.ok) {
+                throw PreflightSimulator.revertError(simulation);
+            }
 
             // Format transaction for ethers.js
             const formattedTx = {
@@ -146,53 +624,434 @@ class RelayManager {
                 gasPrice: ethers.BigNumber.from(tx.gasPrice)
             };
 
-            // Always use wallet for transaction signing and sending
-            let relayedTx;
+            // Targets priced from their own chain, and any target once the
+            // source chain's gas price turned out not to be enough
+            if (target.feeModel !== 'source' || options.escalateFees) {
+                delete formattedTx.gasPrice;
+                Object.assign(formattedTx, await this.getTargetFees(target, options.escalateFees ? 'fast' : this.config.fees.strategy));
+            }
+
+            fees = formattedTx.gasPrice ?
+                { gasPrice: formattedTx.gasPrice } :
+                { maxFeePerGas: formattedTx.maxFeePerGas, maxPriorityFeePerGas: formattedTx.maxPriorityFeePerGas };
+
+            // Waits while an hourly or daily budget is used up
+            await target.budget.reserve(key, formattedTx);
+            this.reportBudget(target);
+
+            // Relays run concurrently, so nonces come from the target's shared manager
+            nonce = await this.getNonceManager(target).acquire();
+            formattedTx.nonce = nonce;
+            this.ledger.markInFlight(key, nonce);
+
+            // Always use wallet for transaction signing
+            let populatedTx;
+            let signedTx;
             try {
-                // Sign and send transaction using wallet
-                relayedTx = await this.wallet.sendTransaction(formattedTx);
+                populatedTx = await target.wallet.populateTransaction(formattedTx);
+                signedTx = await target.wallet.signTransaction(populatedTx);
             } catch (error) {
                 console.error('Transaction signing failed:', error.message);
                 throw error;
             }
 
-            const receipt = await relayedTx.wait();
-            if (receipt.status === 1) {
-                console.log(`✓ Transaction ${txHash} relayed successfully`);
-                this.metrics.successful++;
+            // Record the target hash before broadcasting so a crash cannot lose track of it
+            const targetHash = ethers.utils.keccak256(signedTx);
+            this.ledger.markSubmitted(key, targetHash);
+            this.publishEvent('submitted', key, { explorerLinks: { targetTx: target.explorers.txLinks(targetHash) } });
 
-                // Generate Etherscan URL for verification
-                const etherscanUrl = `https://etherscan.io/tx/${relayedTx.hash}`;
-                console.log(`Transaction viewable at: ${etherscanUrl}`);
-            } else {
-                throw new Error('Transaction failed');
-            }
+            const relayedTx = await target.provider.sendTransaction(signedTx);
+            sent = true;
+            target.nonceManager.markSent(nonce, targetHash, signedTx);
+            const { receipt, hash } = await this.waitForRelay(target, key, nonce, [{ hash: relayedTx.hash, tx: populatedTx }]);
+            return this.finalizeRelay(source, target, txHash, hash, receipt);
         } catch (error) {
-            console.error(`! Error relaying transaction ${txHash}:`, error.message);
+            console.error(`! Error relaying transaction ${txHash} to ${target.name}:`, error.message);
             this.metrics.failed++;
+            this.countRelay(source, target, 'failed');
+
+            if (nonce !== null) {
+                if (!sent) {
+                    await target.nonceManager.recordFailure(nonce, error);
+                } else if (error.receipt) {
+                    // Mined but reverted; the nonce is used up either way
+                    target.nonceManager.confirm(nonce);
+                }
+            }
+            if (!sent) {
+                target.budget.release(key);
+            } else if (error.receipt) {
+                this.settleSpending(target, key, error.receipt);
+            }
+
+            const decision = this.retryPolicy.decide(key, error);
+            if (this.ledger.has(key)) {
+                this.ledger.markFailed(key, error);
+                this.ledger.recordRetryDecision(key, decision);
+            }
+            this.publishEvent('failed', key, { source: source.name, error: error.message, retrying: decision.retry });
 
-            // Implement retry logic
-            if (this.shouldRetry(txHash)) {
+            if (decision.retry) {
                 this.metrics.retries++;
-                await this.retryTransaction(txHash);
+                this.retryTransaction(txHash, decision, { source: source.name, target: target.name });
+            } else {
+                console.error(`! Not retrying ${txHash} to ${target.name}: ${decision.reason}`);
+                const decisions = this.retryPolicy.reset(key);
+                this.deadLetters.add({
+                    id: key,
+                    sourceHash: txHash,
+                    source: source.name,
+                    target: target.name,
+                    origin: 'relay-manager',
+                    transaction: sourceTx,
+                    error,
+                    attempts: decisions,
+                    fees
+                });
+                this.metrics.deadLettered++;
+                this.countRelay(source, target, 'dead-lettered');
+                this.publishEvent('dead-lettered', key, { source: source.name, error: error.message });
+            }
+        } finally {
+            this.relaysInFlight.delete(key);
+        }
+    }
+
+    // Relay a dead-lettered source transaction again once its cause is fixed
+    async requeueDeadLetter(id) {
+        const entry = this.deadLetters.requeue(id);
+        console.log(`Re-queueing dead-lettered relay ${id}`);
+        return this.relayTransaction(entry.sourceHash, {
+            source: entry.source || LEGACY_SOURCE,
+            target: entry.target || LEGACY_TARGET
+        });
+    }
+
+    discardDeadLetter(id, reason) {
+        return this.deadLetters.discard(id, reason);
+    }
+
+    listDeadLetters(filter) {
+        return this.deadLetters.list(filter);
+    }
+
+    getPreflight(target) {
+        if (!target.preflight) {
+            target.preflight = new PreflightSimulator(target.provider);
+        }
+        return target.preflight;
+    }
+
+    getNonceManager(target) {
+        if (!target.nonceManager) {
+            // Started so nonces left unused by dropped transactions are filled; stop() stops it
+            target.nonceManager = new NonceManager(target.wallet, { gapCheckInterval: this.config.nonce.gapCheckInterval });
+            target.nonceManager.start();
+        }
+        return target.nonceManager;
+    }
+
+    // Fees priced from the target chain: EIP-1559 where it has a base fee,
+    // unless the target is configured for legacy gas prices
+    async getTargetFees(target, strategy) {
+        if (!target.feeOracle) {
+            target.feeOracle = new FeeOracle(target.provider, {
+                maxFeePerGas: ethers.utils.parseUnits(target.maxGasPrice, 'gwei'),
+                legacyBuffer: this.config.fees.legacyBuffer
+            });
+        }
+        const fees = target.feeModel === 'legacy' ?
+            await target.feeOracle.getLegacyFees() :
+            await target.feeOracle.getFees(strategy);
+        return fees.type === 2 ?
+            { type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas } :
+            { gasPrice: fees.gasPrice };
+    }
+
+    getStuckTxWatcher(target) {
+        if (!target.stuckTxWatcher) {
+            target.stuckTxWatcher = new StuckTransactionWatcher(target.provider, {
+                stuckAfter: this.config.fees.stuckTimeout,
+                bumpPercent: this.config.fees.bumpPercent,
+                feeCeiling: ethers.utils.parseUnits(target.maxGasPrice, 'gwei'),
+                maxWait: this.config.fees.maxWait
+            });
+        }
+        return target.stuckTxWatcher;
+    }
+
+    // Waits for a relay's target transaction, given as its replacement chain
+    // ([{ hash, tx }], oldest first), to be mined. While it is stuck it is
+    // re-signed under the same nonce with higher fees; after fees.maxWait
+    // this gives up with TX_NOT_MINED.
+    async waitForRelay(target, key, nonce, chain) {
+        const nonceManager = this.getNonceManager(target);
+        const { receipt, hash } = await this.getStuckTxWatcher(target).waitForReceipt(
+            chain[chain.length - 1].tx,
+            chain,
+            async (bumpedTx) => {
+                const signedTx = await target.wallet.signTransaction(bumpedTx);
+                const replacementHash = ethers.utils.keccak256(signedTx);
+                // Earlier hashes are kept, any of them may still be mined
+                const entry = this.ledger.get(key);
+                this.ledger.markSubmitted(key, replacementHash, { replacedHashes: [...(entry.replacedHashes || []), entry.targetHash] });
+                await target.provider.sendTransaction(signedTx);
+                nonceManager.markSent(nonce, replacementHash, signedTx);
+                return replacementHash;
+            }
+        );
+        nonceManager.confirm(nonce);
+        return { receipt, hash };
+    }
+
+    // The target chain's view of a relay's submitted transaction and those it
+    // replaced, oldest first, leaving out any it has never seen
+    async findBroadcast(target, entry) {
+        const chain = [];
+        for (const hash of [...(entry.replacedHashes || []), entry.targetHash]) {
+            const sent = await target.provider.getTransaction(hash);
+            if (sent) {
+                chain.push({ hash, tx: unsignedTransaction(sent) });
+            }
+        }
+        return chain;
+    }
+
+    finalizeRelay(source, target, txHash, targetHash, receipt) {
+        const key = relayKey(target.name, txHash);
+        this.settleSpending(target, key, receipt);
+        if (!receipt || receipt.status !== 1) {
+            throw new Error('Transaction failed');
+        }
+
+        console.log(`✓ Transaction ${txHash} relayed from ${source.name} to ${target.name} successfully`);
+        this.metrics.successful++;
+        this.countRelay(source, target, 'confirmed');
+        this.retryPolicy.reset(key);
+
+        target.explorers.logTx(targetHash);
+
+        const relayer = receipt.from || target.address;
+        const entry = this.ledger.markConfirmed(key, {
+            targetHash,
+            targetBlockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : null,
+            relayer,
+            // Explorer pages by kind, e.g. { blockscout: 'https://…/tx/0x…' }
+            explorerLinks: {
+                sourceTx: source.explorers.txLinks(txHash),
+                targetTx: target.explorers.txLinks(targetHash),
+                targetBlock: target.explorers.blockLinks(receipt.blockNumber),
+                relayer: relayer ? target.explorers.addressLinks(relayer) : {}
+            },
+            verification: target.verifier ? { status: 'pending' } : null
+        });
+        this.publishEvent('confirmed', key);
+        if (target.verifier) {
+            this.verifyRelay(target, key);
+        }
+        return entry;
+    }
+
+    // Polls the target's explorer API in the background until it has indexed
+    // the relayed transaction, then records the outcome on the ledger entry
+    verifyRelay(target, key) {
+        const entry = this.ledger.get(key);
+        const end = this.metricsCollector ? this.metricsCollector.recordVerificationStart(entry.targetHash) : null;
+        const verification = target.verifier.verify(entry.targetHash, { from: entry.relayer, blockNumber: entry.targetBlockNumber })
+            .then(result => {
+                // Stopped before the explorer answered; checked again on the next start
+                if (result.status === 'pending') return;
+                if (end) end();
+                this.ledger.update(key, { verification: result });
+                this.publishEvent(result.status, key, { verification: result });
+                if (this.metricsCollector) {
+                    this.metricsCollector.recordVerification(target.name, result.status);
+                }
+                if (result.status === 'verified') {
+                    console.log(`✓ Relay ${entry.targetHash} of ${entry.sourceHash} verified on the ${target.name} explorer`);
+                } else {
+                    console.error(`! Relay ${entry.targetHash} of ${entry.sourceHash} unverified on the ${target.name} explorer: ${result.reason}`);
+                }
+            })
+            .catch(error => console.error(`! Verification of relay ${key} failed:`, error.message))
+            .finally(() => this.verifications.delete(key));
+        this.verifications.set(key, verification);
+        return verification;
+    }
+
+    // Confirmed relays whose verification was cut short by the last shutdown
+    resumeVerifications() {
+        for (const entry of this.ledger.list({ status: 'confirmed' })) {
+            const target = this.targets.get(entry.target);
+            if (target && target.verifier && entry.verification && entry.verification.status === 'pending') {
+                this.verifyRelay(target, entry.key);
             }
         }
     }
 
-    shouldRetry(txHash) {
-        // Implement retry decision logic based on configuration
-        return this.metrics.retries < this.config.metrics.retryAttempts;
+    // Verification result of a relay once its check has finished, or null for
+    // targets without an explorer API
+    async waitForVerification(txHash, target) {
+        const key = relayKey(this.getTarget(target).name, txHash);
+        await this.verifications.get(key);
+        const entry = this.ledger.get(key);
+        return entry ? entry.verification || null : null;
+    }
+
+    // Charge the target's budget with what its chain actually took
+    settleSpending(target, key, receipt) {
+        if (!receipt || !receipt.gasUsed) return;
+        const gasCost = receipt.effectiveGasPrice ?
+            ethers.BigNumber.from(receipt.gasUsed).mul(receipt.effectiveGasPrice) :
+            null;
+        target.budget.settle(key, gasCost);
+        this.reportBudget(target);
+    }
+
+    // Nothing new is started while every target's spending window is
+    // exhausted. Relays to a single paused target wait for its budget.
+    handleBudgetPause(targetName, paused) {
+        if (this.isPaused()) {
+            this.workQueue.pause();
+        } else if (!this.stopped) {
+            this.workQueue.resume();
+        }
+        if (this.metricsCollector) {
+            this.metricsCollector.updateRelayPaused(!!paused, targetName);
+        }
+    }
+
+    // Paused by an operator, or every target's budget is used up
+    isPaused() {
+        return this.manuallyPaused || Array.from(this.targets.values()).every(target => target.budget.paused);
+    }
+
+    // Stops starting new relays until resume(), whatever the budgets do in the
+    // meantime. Relays already being sent finish, and blocks keep being
+    // queued until the queue is full.
+    pause() {
+        this.manuallyPaused = true;
+        this.workQueue.pause();
+        console.log('! Relaying paused by operator');
+    }
+
+    // Lifts an operator pause; relaying stays paused while every budget is used up
+    resume() {
+        this.manuallyPaused = false;
+        if (this.isPaused()) {
+            console.log('! Relaying resumed by operator but still paused by spending budgets');
+        } else if (!this.stopped) {
+            this.workQueue.resume();
+            console.log('✓ Relaying resumed by operator');
+        }
+    }
+
+    // Publishes a lifecycle event for a relay, filled in from its ledger
+    // entry as far as it exists; fields add to or override those
+    publishEvent(status, key, fields = {}) {
+        const entry = this.ledger.get(key) || {};
+        return this.events.publish({
+            status,
+            key,
+            ...splitRelayKey(key),
+            source: entry.source || null,
+            sourceBlockNumber: entry.sourceBlockNumber ?? null,
+            targetHash: entry.targetHash || null,
+            targetBlockNumber: entry.targetBlockNumber ?? null,
+            from: entry.from || null,
+            to: entry.to || null,
+            relayer: entry.relayer || null,
+            gasUsed: entry.gasUsed || null,
+            effectiveGasPrice: entry.effectiveGasPrice || null,
+            explorerLinks: entry.explorerLinks || null,
+            ...fields
+        });
+    }
+
+    countRelay(source, target, status) {
+        if (this.metricsCollector) {
+            this.metricsCollector.recordRelay(source.name, target.name, status);
+        }
+    }
+
+    reportBudget(target) {
+        if (this.metricsCollector) {
+            this.metricsCollector.updateBudgetRemaining(target.budget.remaining(), target.name);
+        }
+    }
+
+    // Relay record for one target, the primary target by default
+    getRelayRecord(txHash, target) {
+        return this.ledger.get(relayKey(this.getTarget(target).name, txHash));
+    }
+
+    // Relay records for every target the source transaction went to
+    getRelayRecords(txHash) {
+        return this.ledger.forSource(txHash);
+    }
+
+    getRetryHistory(txHash, target) {
+        const key = relayKey(this.getTarget(target).name, txHash);
+        const entry = this.ledger.get(key);
+        return entry && entry.retryDecisions ? entry.retryDecisions : this.retryPolicy.getHistory(key);
     }
 
-    async retryTransaction(txHash) {
-        console.log(`Retrying transaction ${txHash}`);
-        await new Promise(resolve => setTimeout(resolve, this.config.metrics.retryDelay));
-        await this.relayTransaction(txHash);
+    // The retry goes back on the work queue after its backoff instead of
+    // waiting it out in the worker
+    retryTransaction(txHash, decision, { source, target }) {
+        console.log(`Retrying transaction ${txHash} to ${target} in ${decision.delay}ms (${decision.reason})`);
+        this.workQueue.retry({ id: relayKey(target, txHash), sourceHash: txHash, source, target, escalateFees: decision.escalateFees }, decision.delay);
+    }
+
+    // Confirmed relays to a target by explorer verification status
+    countVerifications(targetName) {
+        const counts = { pending: 0, verified: 0, unverified: 0 };
+        for (const entry of this.ledger.list({ status: 'confirmed', target: targetName })) {
+            if (entry.verification) {
+                counts[entry.verification.status]++;
+            }
+        }
+        return counts;
+    }
+
+    // Health of each RPC endpoint behind a provider; null for a single endpoint
+    describeEndpoints(provider) {
+        return provider && typeof provider.describe === 'function' ? provider.describe() : null;
     }
 
     getMetrics() {
+        const sources = {};
+        for (const source of this.sources.values()) {
+            sources[source.name] = {
+                chainId: source.chainId,
+                connected: source.connected,
+                confirmations: source.confirmations,
+                lastProcessedBlock: source.lastProcessedBlock,
+                latestSeenBlock: source.latestSeenBlock,
+                ...source.metrics,
+                endpoints: this.describeEndpoints(source.provider)
+            };
+        }
+        const targets = {};
+        for (const target of this.targets.values()) {
+            targets[target.name] = {
+                chainId: target.chainId,
+                connected: target.connected,
+                paused: target.budget.paused,
+                budgetRemaining: target.budget.remaining(),
+                verifications: target.verifier ? this.countVerifications(target.name) : null,
+                endpoints: this.describeEndpoints(target.provider)
+            };
+        }
         return {
             ...this.metrics,
+            queueDepth: this.workQueue.depth(),
+            paused: this.isPaused(),
+            manuallyPaused: this.manuallyPaused,
+            sources,
+            targets,
             successRate: (this.metrics.successful / this.metrics.transactions * 100).toFixed(2) + '%',
             retrySuccessRate: (this.metrics.retries > 0 ? 
                 ((this.metrics.successful - this.metrics.retries) / this.metrics.retries * 100).toFixed(2) : 
@@ -200,9 +1059,48 @@ class RelayManager {
         };
     }
 
+    // getMetrics() plus what the ledger and the dead-letter queue hold. Also
+    // works on a manager that was never initialized, to read the state a
+    // stopped relay left behind; source positions then come from the checkpoints.
+    getStatus() {
+        const status = this.getMetrics();
+        for (const source of this.sources.values()) {
+            if (source.lastProcessedBlock === null) {
+                const checkpoint = source.checkpoint.load();
+                status.sources[source.name].lastProcessedBlock = checkpoint ? checkpoint.blockNumber : null;
+            }
+        }
+        status.relays = {};
+        for (const entry of this.ledger.list()) {
+            status.relays[entry.status] = (status.relays[entry.status] || 0) + 1;
+        }
+        status.deadLetters = this.deadLetters.size();
+        status.dryRun = this.dryRun;
+        return status;
+    }
+
     async stop() {
-        if (this.provider) {
-            await this.provider.disconnect();
+        // Queued relays stay on disk and are picked up again on the next start
+        this.stopped = true;
+        this.workQueue.pause();
+        for (const target of this.targets.values()) {
+            if (target.nonceManager) {
+                target.nonceManager.stop();
+            }
+            if (target.provider && typeof target.provider.describe === 'function') {
+                await target.provider.destroy();
+            }
+            if (target.verifier) {
+                target.verifier.stop();
+            }
+        }
+        await Promise.all(this.verifications.values());
+        for (const source of this.sources.values()) {
+            if (source.provider && typeof source.provider.disconnect === 'function') {
+                await source.provider.disconnect();
+            } else if (source.provider && typeof source.provider.destroy === 'function') {
+                await source.provider.destroy();
+            }
         }
     }
 
@@ -241,39 +1139,42 @@ class RelayManager {
             console.log(`\nAttempt ${attempts}/${maxAttempts}`);
 
             try {
-                // Verify source network connection with direct RPC call
-                if (this.provider && !sourceVerified) {
-                    console.log('Attempting to verify source network...');
+                // Verify every source chain with direct RPC calls
+                for (const source of this.sources.values()) {
+                    if (!source.provider || source.verified) continue;
+                    console.log(`Attempting to verify source network ${source.name}...`);
                     try {
-                        const blockNumber = await this.provider.send('eth_blockNumber', []);
-                        console.log(`Source provider block number: ${parseInt(blockNumber, 16)}`);
-                        const isValidChainId = await verifyChainId(this.provider, this.config.sourceNetwork.chainId);
-                        if (isValidChainId) {
-                            this.connectionState.source = true;
-                            sourceVerified = true;
-                            console.log(`✓ Source network verified with chainId: ${this.config.sourceNetwork.chainId}`);
+                        const blockNumber = await source.provider.send('eth_blockNumber', []);
+                        console.log(`Source ${source.name} block number: ${parseInt(blockNumber, 16)}`);
+                        if (await verifyChainId(source.provider, source.chainId)) {
+                            source.verified = true;
+                            source.connected = true;
+                            console.log(`✓ Source network ${source.name} verified with chainId: ${source.chainId}`);
                         }
                     } catch (error) {
-                        console.log('Source network verification failed:', error.message);
+                        console.log(`Source network ${source.name} verification failed:`, error.message);
                     }
                 }
+                sourceVerified = Array.from(this.sources.values()).every(source => source.verified);
+                this.connectionState.source = sourceVerified;
 
-                // Verify target network connection with direct RPC call
-                if (this.ethProvider && !targetVerified) {
-                    console.log('Attempting to verify target network (Ethereum)...');
+                // Verify every target chain with direct RPC calls
+                for (const target of this.targets.values()) {
+                    if (!target.provider || target.connected) continue;
+                    console.log(`Attempting to verify target network ${target.name}...`);
                     try {
-                        const blockNumber = await this.ethProvider.send('eth_blockNumber', []);
-                        console.log(`Target provider block number: ${parseInt(blockNumber, 16)}`);
-                        const isValidChainId = await verifyChainId(this.ethProvider, 1); // Ethereum mainnet
-                        if (isValidChainId) {
-                            this.connectionState.target = true;
-                            targetVerified = true;
-                            console.log('✓ Target network verified as Ethereum mainnet');
+                        const blockNumber = await target.provider.send('eth_blockNumber', []);
+                        console.log(`Target ${target.name} block number: ${parseInt(blockNumber, 16)}`);
+                        if (await verifyChainId(target.provider, target.chainId)) {
+                            target.connected = true;
+                            console.log(`✓ Target network ${target.name} verified with chainId: ${target.chainId}`);
                         }
                     } catch (error) {
-                        console.log('Target network verification failed:', error.message);
+                        console.log(`Target network ${target.name} verification failed:`, error.message);
                     }
                 }
+                targetVerified = Array.from(this.targets.values()).every(target => target.connected);
+                this.connectionState.target = targetVerified;
 
                 if (sourceVerified && targetVerified) {
                     console.log('✓ Both providers connected and networks verified successfully');
@@ -287,16 +1188,17 @@ class RelayManager {
                     reason: error.reason
                 });
                 console.log('Detailed provider states:', {
-                    source: {
-                        initialized: !!this.provider,
-                        connected: this.connectionState.source,
-                        network: sourceVerified ? 'verified' : 'unverified'
-                    },
-                    target: {
-                        initialized: !!this.ethProvider,
-                        connected: this.connectionState.target,
-                        network: targetVerified ? 'verified' : 'unverified'
-                    }
+                    sources: Array.from(this.sources.values()).map(source => ({
+                        name: source.name,
+                        initialized: !!source.provider,
+                        connected: source.connected,
+                        network: source.verified ? 'verified' : 'unverified'
+                    })),
+                    targets: Array.from(this.targets.values()).map(target => ({
+                        name: target.name,
+                        initialized: !!target.provider,
+                        network: target.connected ? 'verified' : 'unverified'
+                    }))
                 });
             }
 
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const ACTIONS = ['allow', 'deny'];
+const MATCH_FIELDS = ['from', 'to', 'selector', 'minValue', 'maxValue', 'contractCreation'];
+
+// Decides which source transactions are relayed. Rules are checked in order
+// and the first one whose conditions all match decides; a transaction no rule
+// matches gets the default action.
+//
+//   {
+//     "defaultAction": "allow",
+//     "rules": [
+//       { "name": "no-deployments", "action": "deny", "match": { "contractCreation": true } },
+//       { "name": "large-transfers", "action": "deny", "match": { "minValue": "1.0" } },
+//       { "name": "token-approvals", "action": "deny", "match": { "selector": ["0x095ea7b3"] } }
+//     ]
+//   }
+//
+// from/to/selector take lists, minValue/maxValue are in ether and inclusive.
+class RelayPolicy {
+    constructor(policy = {}) {
+        this.defaultAction = policy.defaultAction || 'allow';
+        if (!ACTIONS.includes(this.defaultAction)) {
+            throw new Error(`Invalid relay policy default action "${this.defaultAction}"`);
+        }
+        this.rules = (policy.rules || []).map((rule, index) => RelayPolicy.compileRule(rule, index));
+    }
+
+    // Policy from network-config's policy section, read from its file when one is set
+    static fromConfig(policyConfig = {}) {
+        if (!policyConfig.file) {
+            return new RelayPolicy(policyConfig);
+        }
+        let policy;
+        try {
+            policy = JSON.parse(fs.readFileSync(policyConfig.file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load relay policy from ${policyConfig.file}: ${error.message}`);
+        }
+        return new RelayPolicy(policy);
+    }
+
+    static compileRule(rule, index) {
+        const name = rule.name || `rule #${index + 1}`;
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`Relay policy ${name}: action must be one of ${ACTIONS.join(', ')}`);
+        }
+        const match = rule.match || {};
+        const unknown = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            throw new Error(`Relay policy ${name}: unknown match field(s) ${unknown.join(', ')}`);
+        }
+
+        const lowerList = (field) => {
+            if (match[field] === undefined) return null;
+            const list = Array.isArray(match[field]) ? match[field] : [match[field]];
+            return list.map(item => String(item).toLowerCase());
+        };
+        const parseEther = (field) => {
+            if (match[field] === undefined) return null;
+            try {
+                return ethers.utils.parseEther(String(match[field]));
+            } catch (error) {
+                throw new Error(`Relay policy ${name}: ${field} "${match[field]}" is not an ether amount`);
+            }
+        };
+
+        return {
+            name,
+            action: rule.action,
+            from: lowerList('from'),
+            to: lowerList('to'),
+            selector: lowerList('selector'),
+            minValue: parseEther('minValue'),
+            maxValue: parseEther('maxValue'),
+            contractCreation: match.contractCreation === undefined ? null : !!match.contractCreation
+        };
+    }
+
+    // Returns { allowed, action, rule, reason }; rule is null for the default action
+    evaluate(tx) {
+        const from = tx.from ? tx.from.toLowerCase() : null;
+        const to = tx.to ? tx.to.toLowerCase() : null;
+        const data = tx.data || '0x';
+        const selector = data.length >= 10 ? data.slice(0, 10).toLowerCase() : null;
+        const value = ethers.BigNumber.from(tx.value || 0);
+
+        for (const rule of this.rules) {
+            const reasons = [];
+            if (rule.from) {
+                if (!from || !rule.from.includes(from)) continue;
+                reasons.push(`from ${tx.from}`);
+            }
+            if (rule.to) {
+                if (!to || !rule.to.includes(to)) continue;
+                reasons.push(`to ${tx.to}`);
+            }
+            if (rule.selector) {
+                if (!selector || !rule.selector.includes(selector)) continue;
+                reasons.push(`selector ${selector}`);
+            }
+            if (rule.minValue) {
+                if (value.lt(rule.minValue)) continue;
+                reasons.push(`value ${ethers.utils.formatEther(value)} >= ${ethers.utils.formatEther(rule.minValue)} ETH`);
+            }
+            if (rule.maxValue) {
+                if (value.gt(rule.maxValue)) continue;
+                reasons.push(`value ${ethers.utils.formatEther(value)} <= ${ethers.utils.formatEther(rule.maxValue)} ETH`);
+            }
+            if (rule.contractCreation !== null) {
+                if (!to !== rule.contractCreation) continue;
+                reasons.push(rule.contractCreation ? 'contract creation' : 'not a contract creation');
+            }
+
+            return {
+                allowed: rule.action === 'allow',
+                action: rule.action,
+                rule: rule.name,
+                reason: reasons.length > 0 ? reasons.join(', ') : 'matches every transaction'
+            };
+        }
+
+        return {
+            allowed: this.defaultAction === 'allow',
+            action: this.defaultAction,
+            rule: null,
+            reason: 'no rule matched, default action'
+        };
+    }
+}
+
+module.exports = { RelayPolicy };
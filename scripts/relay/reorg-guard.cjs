@@ -0,0 +1,78 @@
+// Keeps the hashes of recently processed source blocks so the relay can check
+// parent-hash continuity and find where a reorganised chain diverged
+class ReorgGuard {
+    constructor(options = {}) {
+        this.window = options.window || 64;
+        this.blocks = new Map();
+    }
+
+    load(entries = []) {
+        this.blocks.clear();
+        for (const entry of entries) {
+            this.blocks.set(entry.number, entry);
+        }
+    }
+
+    toJSON() {
+        return Array.from(this.blocks.values()).sort((a, b) => a.number - b.number);
+    }
+
+    get(blockNumber) {
+        return this.blocks.get(blockNumber) || null;
+    }
+
+    record(block) {
+        this.blocks.set(block.number, {
+            number: block.number,
+            hash: block.hash,
+            parentHash: block.parentHash || null,
+            transactions: (block.transactions || []).map(tx => (typeof tx === 'string' ? tx : tx.hash))
+        });
+
+        // Drop entries that have fallen out of the tracking window
+        for (const number of this.blocks.keys()) {
+            if (number <= block.number - this.window) {
+                this.blocks.delete(number);
+            }
+        }
+    }
+
+    // True when block links onto the recorded block before it (or nothing is recorded to compare against)
+    isContinuous(block) {
+        const previous = this.get(block.number - 1);
+        if (!previous || !block.parentHash) {
+            return true;
+        }
+        return previous.hash === block.parentHash;
+    }
+
+    // Walk back from fromNumber until a recorded hash matches the chain again.
+    // Returns null when the divergence is older than anything still recorded.
+    async findCommonAncestor(provider, fromNumber) {
+        for (let number = fromNumber; number >= 0; number--) {
+            const recorded = this.get(number);
+            if (!recorded) {
+                return null;
+            }
+            const block = await provider.getBlock(number);
+            if (block && block.hash === recorded.hash) {
+                return number;
+            }
+        }
+        return null;
+    }
+
+    // Forget every recorded block above ancestor and return them, oldest first
+    rewind(ancestor) {
+        const removed = [];
+        for (const [number, entry] of this.blocks) {
+            if (number > ancestor) {
+                removed.push(entry);
+                this.blocks.delete(number);
+            }
+        }
+        return removed.sort((a, b) => a.number - b.number);
+    }
+}
+
+module.exports = { ReorgGuard };
@@ -0,0 +1,130 @@
+const ERROR_CLASSES = {
+    TRANSIENT: 'transient',
+    PERMANENT: 'permanent',
+    FEE: 'fee'
+};
+
+// ethers error codes that retrying cannot fix
+const PERMANENT_CODES = [
+    'CALL_EXCEPTION',
+    'INSUFFICIENT_FUNDS',
+    'UNPREDICTABLE_GAS_LIMIT',
+    'INVALID_ARGUMENT',
+    'MISSING_ARGUMENT',
+    'UNEXPECTED_ARGUMENT',
+    'NUMERIC_FAULT',
+    'NOT_IMPLEMENTED',
+    'UNSUPPORTED_OPERATION',
+    'BUDGET_EXCEEDED',
+    'PREFLIGHT_REVERTED'
+];
+
+const PERMANENT_MESSAGES = [
+    'execution reverted',
+    'transaction failed',
+    'insufficient funds',
+    'intrinsic gas too low',
+    'gas required exceeds allowance',
+    'invalid sender',
+    'exceeds block gas limit'
+];
+
+// Fees too low to be accepted; raising them fixes the problem
+const UNDERPRICED_MESSAGES = [
+    'underpriced',
+    'fee cap less than block base fee',
+    'max fee per gas less than block base fee',
+    'fee too low'
+];
+
+// Fees above what we are willing to pay; waiting for the market to cool down fixes the problem
+const OVERPRICED_MESSAGES = [
+    'exceeds maximum allowed'
+];
+
+function errorText(error) {
+    const parts = [error.message, error.reason, error.error && error.error.message, error.body];
+    return parts.filter(Boolean).join(' ').toLowerCase();
+}
+
+function isUnderpriced(error) {
+    const text = errorText(error);
+    return error.code === 'REPLACEMENT_UNDERPRICED' || UNDERPRICED_MESSAGES.some(message => text.includes(message));
+}
+
+function classifyError(error) {
+    const text = errorText(error);
+    if (isUnderpriced(error) || OVERPRICED_MESSAGES.some(message => text.includes(message))) {
+        return ERROR_CLASSES.FEE;
+    }
+    if (PERMANENT_CODES.includes(error.code) || PERMANENT_MESSAGES.some(message => text.includes(message))) {
+        return ERROR_CLASSES.PERMANENT;
+    }
+    // Network errors, timeouts, rate limits, nonce races and anything unknown
+    return ERROR_CLASSES.TRANSIENT;
+}
+
+// Decides, per transaction, whether a failed relay is tried again and after
+// how long. Every decision is kept so it can be inspected afterwards.
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 3;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.jitter = options.jitter === undefined ? 0.2 : options.jitter;
+        this.history = new Map();
+    }
+
+    decide(key, error) {
+        const decisions = this.history.get(key) || [];
+        const attempt = decisions.length + 1;
+        const errorClass = classifyError(error);
+        const decision = {
+            attempt,
+            errorClass,
+            error: error.message,
+            retry: false,
+            delay: 0,
+            escalateFees: false,
+            reason: null,
+            decidedAt: new Date().toISOString()
+        };
+
+        if (errorClass === ERROR_CLASSES.PERMANENT) {
+            decision.reason = 'permanent error, retrying would fail the same way';
+        } else if (attempt >= this.maxAttempts) {
+            decision.reason = `gave up after ${attempt} attempts`;
+        } else {
+            decision.retry = true;
+            decision.delay = this.backoff(attempt);
+            decision.escalateFees = errorClass === ERROR_CLASSES.FEE && isUnderpriced(error);
+            decision.reason = errorClass === ERROR_CLASSES.FEE ?
+                (decision.escalateFees ? 'fees too low, retrying with higher fees' : 'fees above cap, waiting for them to drop') :
+                'transient error, retrying with backoff';
+        }
+
+        decisions.push(decision);
+        this.history.set(key, decisions);
+        return decision;
+    }
+
+    // Exponential backoff with +/- jitter so retries from one block spread out
+    backoff(attempt) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        const spread = exponential * this.jitter;
+        return Math.max(0, Math.round(exponential - spread + Math.random() * spread * 2));
+    }
+
+    getHistory(key) {
+        return this.history.get(key) || [];
+    }
+
+    // Forget a transaction once it succeeded or was given up on; returns its decisions
+    reset(key) {
+        const decisions = this.getHistory(key);
+        this.history.delete(key);
+        return decisions;
+    }
+}
+
+module.exports = { RetryPolicy, classifyError, isUnderpriced, ERROR_CLASSES };
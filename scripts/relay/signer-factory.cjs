@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+// Well-known development mnemonic used in mock mode when no signer is
+// configured. Its keys are public; never fund its accounts on a real network.
+const DEV_SIGNER = {
+    type: 'mnemonic',
+    mnemonic: 'test test test test test test test test test test test junk',
+    derivationPath: DEFAULT_DERIVATION_PATH
+};
+
+// Signer that keeps its key in a separate service and signs over JSON-RPC
+// (eth_accounts / eth_signTransaction / eth_sign), as offered by Clef,
+// Web3Signer and scripts/mock/mock-signer-service.cjs.
+class RemoteSigner extends ethers.Signer {
+    constructor(url, options = {}, provider = null) {
+        super();
+        ethers.utils.defineReadOnly(this, 'provider', provider || undefined);
+        this.url = url;
+        this.options = options;
+        this.address = options.address ? ethers.utils.getAddress(options.address) : null;
+        this.connection = {
+            url,
+            timeout: options.timeout || 30000,
+            headers: options.authToken ? { Authorization: `Bearer ${options.authToken}` } : {}
+        };
+        this.nextId = 1;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, { ...this.options, address: this.address }, provider);
+    }
+
+    async request(method, params) {
+        const payload = JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params });
+        const response = await ethers.utils.fetchJson(this.connection, payload);
+        if (response.error) {
+            const error = new Error(`Remote signer ${method} failed: ${response.error.message}`);
+            error.code = response.error.code;
+            throw error;
+        }
+        return response.result;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const accounts = await this.request('eth_accounts', []);
+            if (!accounts || accounts.length === 0) {
+                throw new Error(`Remote signer at ${this.url} has no accounts`);
+            }
+            this.address = ethers.utils.getAddress(accounts[0]);
+        }
+        return this.address;
+    }
+
+    async signTransaction(transaction) {
+        const tx = await ethers.utils.resolveProperties(transaction);
+        const address = await this.getAddress();
+        if (tx.from && ethers.utils.getAddress(tx.from) !== address) {
+            throw new Error(`Transaction from ${tx.from} cannot be signed by remote signer ${address}`);
+        }
+
+        const request = ethers.providers.JsonRpcProvider.hexlifyTransaction(tx, { from: true, chainId: true });
+        request.from = address;
+        const result = await this.request('eth_signTransaction', [request]);
+        // Clef answers with { raw, tx }, most others with the raw transaction
+        const signedTx = typeof result === 'string' ? result : result.raw;
+
+        // Do not broadcast anything the service signed with a different key
+        const parsed = ethers.utils.parseTransaction(signedTx);
+        if (!parsed.from || ethers.utils.getAddress(parsed.from) !== address) {
+            throw new Error(`Remote signer returned a transaction signed by ${parsed.from}, expected ${address}`);
+        }
+        return signedTx;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+        return this.request('eth_sign', [await this.getAddress(), ethers.utils.hexlify(data)]);
+    }
+}
+
+// Build the relayer signer from network-config's signer section:
+//   keystore:   keystorePath + keystorePassword (encrypted JSON keystore)
+//   mnemonic:   mnemonic + derivationPath
+//   remote:     remoteUrl, optional remoteAddress and remoteAuthToken
+//   privateKey: privateKey, for local development only
+// An existing ethers Signer is used as is, connected to provider if it has none.
+async function createSigner(signerConfig = {}, provider = null) {
+    if (ethers.Signer.isSigner(signerConfig)) {
+        return provider && !signerConfig.provider ? signerConfig.connect(provider) : signerConfig;
+    }
+
+    const type = signerConfig.type || (signerConfig.privateKey ? 'privateKey' : null);
+    const requireField = (field) => {
+        if (!signerConfig[field]) {
+            throw new Error(`Signer type "${type}" requires ${field}`);
+        }
+        return signerConfig[field];
+    };
+
+    let signer;
+    switch (type) {
+        case 'keystore': {
+            const keystorePath = requireField('keystorePath');
+            let json;
+            try {
+                json = fs.readFileSync(keystorePath, 'utf8');
+            } catch (error) {
+                throw new Error(`Failed to read keystore ${keystorePath}: ${error.message}`);
+            }
+            signer = await ethers.Wallet.fromEncryptedJson(json, requireField('keystorePassword'));
+            break;
+        }
+        case 'mnemonic':
+            signer = ethers.Wallet.fromMnemonic(requireField('mnemonic'), signerConfig.derivationPath || DEFAULT_DERIVATION_PATH);
+            break;
+        case 'remote':
+            signer = new RemoteSigner(requireField('remoteUrl'), {
+                address: signerConfig.remoteAddress,
+                authToken: signerConfig.remoteAuthToken,
+                timeout: signerConfig.remoteTimeout
+            });
+            break;
+        case 'privateKey':
+            signer = new ethers.Wallet(requireField('privateKey'));
+            break;
+        case null:
+            throw new Error('No signer configured, set SIGNER_TYPE to keystore, mnemonic or remote');
+        default:
+            throw new Error(`Unknown signer type "${type}", expected keystore, mnemonic, remote or privateKey`);
+    }
+
+    return provider ? signer.connect(provider) : signer;
+}
+
+// Signers for a wallet pool: one per entry of a list of signer configs, or
+// `size` accounts derived from a mnemonic by counting up the last path index
+async function createSigners(signerConfig, size = 1, provider = null) {
+    if (Array.isArray(signerConfig)) {
+        return Promise.all(signerConfig.map(entry => createSigner(entry, provider)));
+    }
+    if (size <= 1) {
+        return [await createSigner(signerConfig, provider)];
+    }
+    if (signerConfig.type !== 'mnemonic') {
+        throw new Error(`A pool of ${size} wallets needs a mnemonic signer or a list of signers`);
+    }
+
+    const segments = (signerConfig.derivationPath || DEFAULT_DERIVATION_PATH).split('/');
+    const firstIndex = parseInt(segments.pop());
+    const signers = [];
+    for (let i = 0; i < size; i++) {
+        signers.push(await createSigner({
+            ...signerConfig,
+            derivationPath: [...segments, firstIndex + i].join('/')
+        }, provider));
+    }
+    return signers;
+}
+
+module.exports = { createSigner, createSigners, RemoteSigner, DEV_SIGNER, DEFAULT_DERIVATION_PATH };
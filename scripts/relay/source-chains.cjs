@@ -0,0 +1,31 @@
+// Source chains watched for transactions to relay, resolved from
+// config.sources (see config/defaults.cjs). The first enabled chain is the
+// primary source.
+function resolveSources(config) {
+    return config.sources.enabled.map(name => resolveSource(config, name));
+}
+
+function resolveSource(config, name) {
+    const network = config.sources.networks[name];
+    if (!network) {
+        const error = new Error(`Unknown source chain "${name}", expected one of ${Object.keys(config.sources.networks).join(', ')}`);
+        error.code = 'UNKNOWN_SOURCE';
+        throw error;
+    }
+    // The defi-oracle-meta source shares the mainnet section's endpoints and explorers
+    const shared = name === 'defi-oracle-meta' && !network.ws && !network.rpc ? config.mainnet : network;
+    return {
+        name,
+        chainId: network.chainId,
+        networkId: network.networkId || 1,
+        // Endpoint lists; either may be empty
+        ws: [].concat(shared.ws || []),
+        rpc: [].concat(shared.rpc || []),
+        confirmations: network.confirmations ?? config.confirmations.depth,
+        explorers: network.explorers || (name === 'defi-oracle-meta' ? config.mainnet.explorers : {}),
+        // Explorer API MainnetRelay verifies its transactions against
+        etherscan: network.etherscan || null
+    };
+}
+
+module.exports = { resolveSources, resolveSource };
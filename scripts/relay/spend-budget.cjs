@@ -0,0 +1,218 @@
+const { ethers } = require('ethers');
+const { JsonFileStore } = require('../storage/json-store.cjs');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function parseEtherLimit(value) {
+    return value === null || value === undefined || value === '' ? null : ethers.utils.parseEther(String(value));
+}
+
+function parseCountLimit(value) {
+    return value === null || value === undefined || value === '' ? null : parseInt(value);
+}
+
+// Worst case the target chain can charge for a transaction
+function maxGasCost(tx) {
+    const feePerGas = tx.maxFeePerGas || tx.gasPrice || 0;
+    return ethers.BigNumber.from(tx.gasLimit || 0).mul(feePerGas);
+}
+
+// Caps what the relayer wallet spends: the value of a single transaction,
+// gas spent per hour and per day, and transactions sent per hour. A relay
+// reserves its worst-case gas cost before it is sent and settles the actual
+// cost from its receipt, so concurrent relays cannot overshoot a window.
+// Spending is kept on disk so a restart does not reset the windows.
+//
+// When a window is used up, reserve() pauses until enough spending has aged
+// out of it; a transaction that could never fit is rejected instead.
+class SpendingBudget {
+    constructor(filePath, limits = {}, options = {}) {
+        this.store = new JsonFileStore(filePath, { records: [] });
+        this.records = this.store.read().records;
+        this.limits = {
+            maxValuePerTx: parseEtherLimit(limits.maxValuePerTx),
+            maxGasSpendPerHour: parseEtherLimit(limits.maxGasSpendPerHour),
+            maxGasSpendPerDay: parseEtherLimit(limits.maxGasSpendPerDay),
+            maxTxPerHour: parseCountLimit(limits.maxTxPerHour)
+        };
+        this.onPauseChange = options.onPauseChange || null;
+        this.paused = null;
+        this.resumeWaiters = [];
+        this.resumeTimer = null;
+    }
+
+    // Waits while a window is exhausted, then reserves the transaction's worst-case cost
+    async reserve(id, tx) {
+        while (true) {
+            const verdict = this.tryReserve(id, tx);
+            if (verdict.allowed) {
+                this.setPaused(null);
+                return verdict;
+            }
+            if (verdict.scope === 'transaction') {
+                const error = new Error(`Spending budget exceeded: ${verdict.reason}`);
+                error.code = 'BUDGET_EXCEEDED';
+                error.budget = verdict.budget;
+                throw error;
+            }
+            this.setPaused(verdict);
+            await this.waitUntil(verdict.resumeAt);
+        }
+    }
+
+    // Synchronous check-and-reserve; returns { allowed, scope, budget, reason, resumeAt }
+    tryReserve(id, tx, now = Date.now()) {
+        this.prune(now);
+        // A retry replaces its own earlier reservation; what earlier attempts
+        // actually spent stays in the windows
+        const records = this.records.filter(record => !(record.id === id && record.pending));
+        const value = ethers.BigNumber.from(tx.value || 0);
+        const cost = maxGasCost(tx);
+
+        if (this.limits.maxValuePerTx && value.gt(this.limits.maxValuePerTx)) {
+            return this.reject('transaction', 'maxValuePerTx',
+                `value ${ethers.utils.formatEther(value)} ETH is above the per-transaction cap of ${ethers.utils.formatEther(this.limits.maxValuePerTx)} ETH`);
+        }
+
+        const gasBudgets = [['maxGasSpendPerHour', HOUR, 'hour'], ['maxGasSpendPerDay', DAY, 'day']]
+            .filter(([budget]) => this.limits[budget]);
+        for (const [budget, , label] of gasBudgets) {
+            if (cost.gt(this.limits[budget])) {
+                return this.reject('transaction', budget,
+                    `worst-case gas cost ${ethers.utils.formatEther(cost)} ETH is above the per-${label} gas budget of ${ethers.utils.formatEther(this.limits[budget])} ETH`);
+            }
+        }
+
+        if (this.limits.maxTxPerHour !== null) {
+            const sent = records.filter(record => record.at > now - HOUR);
+            if (sent.length >= this.limits.maxTxPerHour) {
+                return this.reject('window', 'maxTxPerHour',
+                    `${sent.length} transactions sent in the last hour, limit is ${this.limits.maxTxPerHour}`,
+                    sent[sent.length - this.limits.maxTxPerHour].at + HOUR);
+            }
+        }
+
+        for (const [budget, window, label] of gasBudgets) {
+            const limit = this.limits[budget];
+            const inWindow = records.filter(record => record.at > now - window);
+            let spent = inWindow.reduce((sum, record) => sum.add(record.gasCost), ethers.BigNumber.from(0));
+            if (spent.add(cost).gt(limit)) {
+                // Spending ages out oldest first; find when enough of it has gone
+                let resumeAt = now + window;
+                for (const record of inWindow) {
+                    spent = spent.sub(record.gasCost);
+                    if (spent.add(cost).lte(limit)) {
+                        resumeAt = record.at + window;
+                        break;
+                    }
+                }
+                return this.reject('window', budget,
+                    `gas spent in the last ${label} would exceed the budget of ${ethers.utils.formatEther(limit)} ETH`,
+                    resumeAt);
+            }
+        }
+
+        this.records = [...records, { id, at: now, gasCost: cost.toString(), value: value.toString(), pending: true }];
+        this.persist();
+        return { allowed: true, scope: null, budget: null, reason: null, resumeAt: null };
+    }
+
+    reject(scope, budget, reason, resumeAt = null) {
+        return { allowed: false, scope, budget, reason, resumeAt };
+    }
+
+    // Replace a reservation with the actual cost; without one the reservation stands as spent
+    settle(id, gasCost = null) {
+        const record = this.records.find(entry => entry.id === id && entry.pending);
+        if (!record) {
+            if (gasCost === null) return;
+            this.records.push({ id, at: Date.now(), gasCost: gasCost.toString(), value: '0', pending: false });
+        } else {
+            record.pending = false;
+            if (gasCost !== null) {
+                record.gasCost = gasCost.toString();
+            }
+        }
+        this.persist();
+    }
+
+    // Give back a reservation for a transaction that was never broadcast
+    release(id) {
+        const before = this.records.length;
+        this.records = this.records.filter(record => !(record.id === id && record.pending));
+        if (this.records.length !== before) {
+            this.persist();
+        }
+    }
+
+    // What is left in each budget; null for budgets without a limit
+    remaining(now = Date.now()) {
+        this.prune(now);
+        const spentSince = (since) => this.records
+            .filter(record => record.at > since)
+            .reduce((sum, record) => sum.add(record.gasCost), ethers.BigNumber.from(0));
+        const left = (limit, spent) => {
+            if (!limit) return null;
+            return spent.gt(limit) ? '0' : limit.sub(spent).toString();
+        };
+        return {
+            valuePerTx: this.limits.maxValuePerTx ? this.limits.maxValuePerTx.toString() : null,
+            gasPerHour: left(this.limits.maxGasSpendPerHour, spentSince(now - HOUR)),
+            gasPerDay: left(this.limits.maxGasSpendPerDay, spentSince(now - DAY)),
+            txPerHour: this.limits.maxTxPerHour === null ? null :
+                Math.max(0, this.limits.maxTxPerHour - this.records.filter(record => record.at > now - HOUR).length)
+        };
+    }
+
+    // Re-check budgets now instead of at the scheduled time, e.g. after raising a limit
+    resume() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.resumeWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    waitUntil(resumeAt) {
+        return new Promise(resolve => {
+            this.resumeWaiters.push(resolve);
+            if (!this.resumeTimer) {
+                this.resumeTimer = setTimeout(() => this.resume(), Math.max(0, resumeAt - Date.now()));
+            }
+        });
+    }
+
+    setPaused(verdict) {
+        if (!verdict && !this.paused) return;
+        if (verdict && this.paused && this.paused.budget === verdict.budget) return;
+
+        this.paused = verdict ? {
+            budget: verdict.budget,
+            reason: verdict.reason,
+            since: new Date().toISOString(),
+            resumeAt: new Date(verdict.resumeAt).toISOString()
+        } : null;
+        if (this.paused) {
+            console.error(`! Relaying paused, ${this.paused.budget} exhausted: ${this.paused.reason}. Resuming at ${this.paused.resumeAt}`);
+        } else {
+            console.log('✓ Spending budget available again, relaying resumed');
+        }
+        if (this.onPauseChange) {
+            this.onPauseChange(this.paused);
+        }
+    }
+
+    // Records older than the longest window no longer count against anything
+    prune(now) {
+        const before = this.records.length;
+        this.records = this.records.filter(record => record.at > now - DAY);
+        if (this.records.length !== before) {
+            this.persist();
+        }
+    }
+
+    persist() {
+        this.store.write({ records: this.records });
+    }
+}
+
+module.exports = { SpendingBudget, maxGasCost };
@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits for a relayed transaction to be mined and replaces it (same nonce,
+// higher fees) whenever the newest broadcast has been pending for too long.
+// Gives up after maxWait, e.g. when the fees are at the ceiling or the
+// transaction was dropped, so the caller's retry policy can take over.
+class StuckTransactionWatcher {
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.stuckAfter = options.stuckAfter || 180000;
+        this.bumpPercent = options.bumpPercent || 15;
+        this.feeCeiling = options.feeCeiling ? ethers.BigNumber.from(options.feeCeiling) : null;
+        this.pollInterval = options.pollInterval || 4000;
+        this.maxWait = options.maxWait || 1800000;
+    }
+
+    // Resolves with the receipt of whichever transaction in the replacement
+    // chain gets mined. replace(tx) must broadcast tx and return its hash.
+    // Rejects with a TX_NOT_MINED error, carrying the chain, after maxWait.
+    // hash can also be a chain already sent ([{ hash, tx }], oldest first) to
+    // keep waiting on; tx is then its newest transaction.
+    async waitForReceipt(tx, hash, replace, onReplaced = null) {
+        const chain = (Array.isArray(hash) ? hash : [{ hash, tx }]).map(entry => ({ ...entry, sentAt: Date.now() }));
+        const deadline = Date.now() + this.maxWait;
+        let atCeiling = false;
+
+        while (true) {
+            for (const entry of chain) {
+                const receipt = await this.provider.getTransactionReceipt(entry.hash);
+                if (receipt && receipt.blockNumber) {
+                    return { receipt, hash: entry.hash, chain };
+                }
+            }
+
+            if (Date.now() >= deadline) {
+                const latest = chain[chain.length - 1];
+                const error = new Error(`Transaction ${latest.hash} not mined within ${this.maxWait}ms (${chain.length - 1} replacements)`);
+                error.code = 'TX_NOT_MINED';
+                error.hash = latest.hash;
+                error.chain = chain;
+                throw error;
+            }
+
+            const latest = chain[chain.length - 1];
+            if (Date.now() - latest.sentAt >= this.stuckAfter) {
+                const bumped = this.bumpFees(latest.tx);
+                if (!bumped) {
+                    if (!atCeiling) {
+                        console.log(`! Transaction ${latest.hash} is stuck but fees are already at the ceiling`);
+                        atCeiling = true;
+                    }
+                    latest.sentAt = Date.now();
+                } else {
+                    try {
+                        console.log(`Transaction ${latest.hash} pending for over ${this.stuckAfter}ms, replacing with higher fees`);
+                        const replacementHash = await replace(bumped);
+                        const replacement = { hash: replacementHash, tx: bumped, sentAt: Date.now() };
+                        chain.push(replacement);
+                        console.log(`✓ Replaced ${latest.hash} with ${replacementHash}`);
+                        if (onReplaced) {
+                            onReplaced(replacement);
+                        }
+                    } catch (error) {
+                        // Most likely underpriced or already mined; the next poll sorts it out
+                        console.log(`Replacement of ${latest.hash} failed:`, error.message);
+                        latest.sentAt = Date.now();
+                    }
+                }
+            }
+
+            await sleep(Math.min(this.pollInterval, Math.max(0, deadline - Date.now())));
+        }
+    }
+
+    // Returns tx with fees raised by bumpPercent (capped at the ceiling), or
+    // null when the fees cannot go any higher
+    bumpFees(tx) {
+        const bump = (value) => {
+            const current = ethers.BigNumber.from(value);
+            const bumped = current.mul(100 + this.bumpPercent).div(100);
+            return bumped.gt(current) ? bumped : current.add(1);
+        };
+        const cap = value => (this.feeCeiling && value.gt(this.feeCeiling) ? this.feeCeiling : value);
+        const atCeiling = value => this.feeCeiling && ethers.BigNumber.from(value).gte(this.feeCeiling);
+
+        if (tx.maxFeePerGas) {
+            if (atCeiling(tx.maxFeePerGas)) {
+                return null;
+            }
+            const maxFeePerGas = cap(bump(tx.maxFeePerGas));
+            let maxPriorityFeePerGas = bump(tx.maxPriorityFeePerGas || 0);
+            if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+                maxPriorityFeePerGas = maxFeePerGas;
+            }
+            return { ...tx, maxFeePerGas, maxPriorityFeePerGas };
+        }
+
+        if (tx.gasPrice) {
+            if (atCeiling(tx.gasPrice)) {
+                return null;
+            }
+            return { ...tx, gasPrice: cap(bump(tx.gasPrice)) };
+        }
+
+        return null;
+    }
+}
+
+module.exports = { StuckTransactionWatcher };
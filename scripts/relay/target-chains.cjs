@@ -0,0 +1,31 @@
+// Explorer API relays are verified against, or null without one; the
+// ethereum target shares the ethereum section's, and other chains fall back
+// to its API key
+function resolveEtherscan(config, name, network) {
+    const etherscan = name === 'ethereum' && !network.etherscan ? config.ethereum.etherscan : network.etherscan;
+    if (!etherscan) return null;
+    return { baseUrl: etherscan.baseUrl, apiKey: etherscan.apiKey || config.ethereum.etherscan.apiKey || null };
+}
+
+// Target chains a relay fans out to, resolved from config.targets (see
+// config/defaults.cjs). The first enabled chain is the primary target.
+function resolveTargets(config) {
+    return config.targets.enabled.map(name => {
+        const network = config.targets.networks[name];
+        return {
+            name,
+            chainId: network.chainId,
+            // The ethereum target shares the ethereum section's endpoints
+            rpc: [].concat(name === 'ethereum' && !network.rpc ? config.ethereum.rpc : network.rpc),
+            // A single explorer URL is an Etherscan-style explorer
+            explorers: network.explorers || (network.explorer ? { etherscan: network.explorer } : {}),
+            etherscan: resolveEtherscan(config, name, network),
+            feeModel: network.feeModel || 'eip1559',
+            maxGasPrice: network.maxGasPrice || config.fees.maxGasPrice,
+            signer: network.signer || null,
+            budget: network.budget ? { ...config.budget, ...network.budget } : config.budget
+        };
+    });
+}
+
+module.exports = { resolveTargets };
@@ -0,0 +1,189 @@
+const { ethers } = require('ethers');
+const { NonceManager } = require('./nonce-manager.cjs');
+
+const WALLET_STATUS = {
+    ACTIVE: 'active',
+    DRAINED: 'drained',
+    STUCK: 'stuck'
+};
+
+// Spreads relays over several relayer wallets, each with its own nonce
+// sequence. A transaction goes to the active wallet with the fewest
+// transactions in flight among those that can afford it. Wallets below the
+// balance floor, or with a transaction pending for too long, are taken out of
+// rotation until they recover. With a target balance set, low wallets are
+// topped up from the richest one. options.onAlert hears about wallets leaving
+// the rotation and top-ups that could not be made.
+class WalletPool {
+    constructor(signers, options = {}) {
+        if (signers.length === 0) {
+            throw new Error('Wallet pool needs at least one signer');
+        }
+        this.members = signers.map(signer => ({
+            signer,
+            address: null,
+            nonceManager: new NonceManager(signer, { gapCheckInterval: options.gapCheckInterval }),
+            balance: ethers.BigNumber.from(0),
+            reserved: ethers.BigNumber.from(0),  // Worst-case cost of transactions in flight
+            status: WALLET_STATUS.ACTIVE,
+            reason: null,
+            topUpHash: null
+        }));
+        this.minBalance = ethers.BigNumber.from(options.minBalance || 0);
+        this.targetBalance = options.targetBalance ? ethers.BigNumber.from(options.targetBalance) : null;
+        this.stuckAfter = options.stuckAfter || 600000;
+        this.refreshInterval = options.refreshInterval || 30000;
+        this.onAlert = options.onAlert || null;
+        this.onRefresh = options.onRefresh || null;
+        this.timer = null;
+    }
+
+    async start() {
+        for (const member of this.members) {
+            member.address = await member.signer.getAddress();
+            member.nonceManager.start();
+        }
+        await this.refresh();
+
+        this.timer = setInterval(() => {
+            this.refresh().catch(error => console.error('! Wallet pool refresh failed:', error.message));
+        }, this.refreshInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.members.forEach(member => member.nonceManager.stop());
+    }
+
+    async refresh() {
+        for (const member of this.members) {
+            member.balance = await member.signer.getBalance();
+            this.updateStatus(member);
+        }
+        if (this.targetBalance) {
+            await this.rebalance();
+        }
+        if (this.onRefresh) {
+            this.onRefresh(this.describe());
+        }
+    }
+
+    updateStatus(member) {
+        let status = WALLET_STATUS.ACTIVE;
+        let reason = null;
+        const oldestSentAt = member.nonceManager.oldestPendingSentAt();
+
+        if (member.balance.lt(this.minBalance)) {
+            status = WALLET_STATUS.DRAINED;
+            reason = `balance ${ethers.utils.formatEther(member.balance)} ETH is below the floor of ${ethers.utils.formatEther(this.minBalance)} ETH`;
+        } else if (oldestSentAt && Date.now() - oldestSentAt > this.stuckAfter) {
+            status = WALLET_STATUS.STUCK;
+            reason = `a transaction has been pending for ${Math.round((Date.now() - oldestSentAt) / 1000)}s`;
+        }
+
+        if (status === member.status) return;
+        member.status = status;
+        member.reason = reason;
+        if (status === WALLET_STATUS.ACTIVE) {
+            console.log(`✓ Relayer wallet ${member.address} back in rotation`);
+        } else {
+            console.error(`! Relayer wallet ${member.address} taken out of rotation (${member.status}): ${member.reason}`);
+            this.alert('out-of-rotation', member, reason);
+        }
+    }
+
+    // type is out-of-rotation, top-up-unavailable or top-up-failed
+    alert(type, member, reason) {
+        if (this.onAlert) {
+            this.onAlert({
+                type,
+                address: member.address,
+                status: member.status,
+                reason,
+                balance: member.balance.toString()
+            });
+        }
+    }
+
+    // Picks the wallet for a transaction costing at most `cost` wei and holds
+    // that much of its balance until release()
+    acquire(cost) {
+        const required = ethers.BigNumber.from(cost || 0);
+        const available = member => member.balance.sub(member.reserved);
+        const candidates = this.members.filter(member =>
+            member.status === WALLET_STATUS.ACTIVE && available(member).gte(required));
+
+        if (candidates.length === 0) {
+            const error = new Error(`No relayer wallet in rotation can cover ${ethers.utils.formatEther(required)} ETH`);
+            error.code = 'NO_WALLET_AVAILABLE';
+            throw error;
+        }
+
+        candidates.sort((a, b) => {
+            const depth = a.nonceManager.pendingCount() - b.nonceManager.pendingCount();
+            if (depth !== 0) return depth;
+            return available(b).gt(available(a)) ? 1 : available(b).lt(available(a)) ? -1 : 0;
+        });
+        const member = candidates[0];
+        member.reserved = member.reserved.add(required);
+        return member;
+    }
+
+    release(member, cost) {
+        member.reserved = member.reserved.sub(cost || 0);
+        if (member.reserved.lt(0)) {
+            member.reserved = ethers.BigNumber.from(0);
+        }
+    }
+
+    // Top wallets below the floor up to the target balance from the richest wallet
+    async rebalance() {
+        for (const member of this.members) {
+            if (member.topUpHash) {
+                const receipt = await member.signer.provider.getTransactionReceipt(member.topUpHash);
+                if (!receipt) continue;
+                member.topUpHash = null;
+            }
+            if (!member.balance.lt(this.minBalance)) continue;
+
+            const amount = this.targetBalance.sub(member.balance);
+            const donor = this.members
+                .filter(other => other !== member && other.balance.sub(other.reserved).sub(amount).gte(this.targetBalance))
+                .sort((a, b) => (b.balance.gt(a.balance) ? 1 : b.balance.lt(a.balance) ? -1 : 0))[0];
+            if (!donor) {
+                const reason = `no relayer wallet can spare ${ethers.utils.formatEther(amount)} ETH`;
+                console.error(`! Cannot top up ${member.address}: ${reason}`);
+                this.alert('top-up-unavailable', member, reason);
+                continue;
+            }
+
+            const nonce = await donor.nonceManager.acquire();
+            try {
+                const tx = await donor.signer.sendTransaction({ to: member.address, value: amount, nonce });
+                donor.nonceManager.markSent(nonce, tx.hash);
+                donor.balance = donor.balance.sub(amount);
+                member.topUpHash = tx.hash;
+                console.log(`Topping up relayer wallet ${member.address} with ${ethers.utils.formatEther(amount)} ETH from ${donor.address} (${tx.hash})`);
+            } catch (error) {
+                await donor.nonceManager.recordFailure(nonce, error);
+                console.error(`! Top-up of ${member.address} from ${donor.address} failed:`, error.message);
+                this.alert('top-up-failed', member, `top-up from ${donor.address} failed: ${error.message}`);
+            }
+        }
+    }
+
+    describe() {
+        return this.members.map(member => ({
+            address: member.address,
+            status: member.status,
+            reason: member.reason,
+            balance: member.balance.toString(),
+            reserved: member.reserved.toString(),
+            pending: member.nonceManager.pendingCount()
+        }));
+    }
+}
+
+module.exports = { WalletPool, WALLET_STATUS };
@@ -0,0 +1,163 @@
+const Queue = require('better-queue');
+const { JsonFileStore } = require('../storage/json-store.cjs');
+
+// Higher numbers are taken off the queue first
+const PRIORITIES = {
+    manual: 10,
+    live: 5,
+    backfill: 1
+};
+
+// Queue of relay tasks between block intake and sending. Tasks are written to
+// disk until their worker finishes, so anything queued or in flight at a
+// crash is picked up again by restore() on the next start. A task with a
+// notBefore time (ms since the epoch) waits outside the queue until then.
+class RelayWorkQueue {
+    constructor(worker, options = {}) {
+        this.store = new JsonFileStore(options.filePath, { tasks: {} });
+        this.tasks = new Map(Object.entries(this.store.read().tasks));
+        this.highWaterMark = options.highWaterMark || 1000;
+        this.onDepthChange = options.onDepthChange || null;
+        this.running = new Set();
+        this.retries = new Map();
+        this.timers = new Map();
+        this.capacityWaiters = [];
+
+        this.queue = new Queue((task, cb) => {
+            // Cancelled while better-queue was still storing it
+            if (!this.tasks.has(task.id)) {
+                return cb(null, null);
+            }
+            this.running.add(task.id);
+            Promise.resolve()
+                .then(() => worker(task))
+                .then(result => cb(null, result), error => cb(error));
+        }, {
+            id: 'id',
+            concurrent: options.concurrency || 1,
+            priority: (task, cb) => cb(null, task.priority || 0),
+            maxRetries: 0
+        });
+
+        this.queue.on('task_finish', taskId => this.complete(taskId));
+        this.queue.on('task_failed', (taskId, error) => {
+            console.error(`! Relay task ${taskId} failed:`, error && error.message ? error.message : error);
+            this.complete(taskId);
+        });
+    }
+
+    // Returns false when a task with the same id is already queued or running
+    push(task) {
+        if (this.tasks.has(task.id)) {
+            return false;
+        }
+        const queuedTask = { priority: PRIORITIES.live, ...task, queuedAt: new Date().toISOString() };
+        this.tasks.set(queuedTask.id, queuedTask);
+        this.persist();
+        this.schedule(queuedTask);
+        return true;
+    }
+
+    // Run a task again after delay ms. A task that is still running is
+    // queued again once its worker returns, so the wait holds no slot.
+    retry(task, delay) {
+        const retried = { priority: PRIORITIES.live, ...this.tasks.get(task.id), ...task, notBefore: Date.now() + delay };
+        if (this.running.has(task.id)) {
+            this.retries.set(task.id, retried);
+            return true;
+        }
+        return this.push(retried);
+    }
+
+    schedule(task) {
+        const wait = (task.notBefore || 0) - Date.now();
+        if (wait <= 0) {
+            this.queue.push(task);
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.timers.delete(task.id);
+            this.queue.push(task);
+        }, wait);
+        timer.unref();
+        this.timers.set(task.id, timer);
+    }
+
+    // Re-queue tasks left over from a previous run
+    restore() {
+        for (const task of this.tasks.values()) {
+            this.schedule(task);
+        }
+        if (this.tasks.size > 0) {
+            console.log(`Restored ${this.tasks.size} queued relay task(s)`);
+        }
+        this.notifyDepth();
+        return this.tasks.size;
+    }
+
+    complete(taskId) {
+        this.running.delete(taskId);
+        const retried = this.retries.get(taskId);
+        if (retried && this.tasks.has(taskId)) {
+            this.retries.delete(taskId);
+            this.tasks.set(taskId, retried);
+            this.persist();
+            this.schedule(retried);
+            return;
+        }
+        if (!this.tasks.delete(taskId)) return;
+        this.persist();
+
+        if (this.depth() < this.highWaterMark) {
+            this.capacityWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    // Drop a task that has not started yet; returns false if it is unknown
+    // or already being worked on
+    cancel(taskId) {
+        if (!this.tasks.has(taskId) || this.running.has(taskId)) {
+            return false;
+        }
+        clearTimeout(this.timers.get(taskId));
+        this.timers.delete(taskId);
+        this.queue.cancel(taskId);
+        this.complete(taskId);
+        return true;
+    }
+
+    // Tasks waiting plus tasks being worked on
+    depth() {
+        return this.tasks.size;
+    }
+
+    // Backpressure for producers: resolves once the queue is below its high-water mark
+    waitForCapacity() {
+        if (this.depth() < this.highWaterMark) {
+            return Promise.resolve();
+        }
+        console.log(`Relay queue full (${this.depth()} tasks), pausing block intake`);
+        return new Promise(resolve => this.capacityWaiters.push(resolve));
+    }
+
+    pause() {
+        this.queue.pause();
+    }
+
+    resume() {
+        this.queue.resume();
+    }
+
+    persist() {
+        this.store.write({ tasks: Object.fromEntries(this.tasks) });
+        this.notifyDepth();
+    }
+
+    notifyDepth() {
+        if (this.onDepthChange) {
+            this.onDepthChange(this.depth());
+        }
+    }
+}
+
+module.exports = { RelayWorkQueue, PRIORITIES };
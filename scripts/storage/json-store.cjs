@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON file store used for relay state that must survive restarts.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated file behind.
+class JsonFileStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = path.resolve(filePath);
+        this.defaults = defaults;
+    }
+
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return JSON.parse(JSON.stringify(this.defaults));
+        }
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        return contents.trim() ? JSON.parse(contents) : JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    update(fn) {
+        const data = this.read();
+        const result = fn(data);
+        const next = result === undefined ? data : result;
+        this.write(next);
+        return next;
+    }
+}
+
+module.exports = { JsonFileStore };
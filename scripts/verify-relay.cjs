@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadConfig, ConfigError } = require('./config/config-loader.cjs');
+const RelayManager = require('./relay/relay-manager.cjs');
+const { relayKey } = require('./relay/relay-ledger.cjs');
+const { MockTargetChain } = require('./mock/mock-target-chain.cjs');
+const { MockEtherscanServer } = require('./mock/mock-etherscan.cjs');
+
+const USAGE = `Usage: node scripts/verify-relay.cjs --mock [--timeout <ms>] [--keep] [--profile <name>] [--set <path>=<value>]
+
+Relays a scripted set of source transactions from the mock source chain to a
+local stand-in for every enabled target chain, checks what arrived, and prints
+a pass/fail report. Runs offline; exits 0 when every check passed, 1 otherwise.
+
+  --mock       Required; the run only ever uses mock networks
+  --timeout    How long to wait for the relays to settle (default 60000 ms)
+  --keep       Keep the run's relay state directory instead of deleting it`;
+
+const ETHERSCAN_API_KEY = 'verify-relay';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+const REVERTING_CONTRACT = '0x4444444444444444444444444444444444444444';
+const ERC20 = new ethers.utils.Interface(['function transfer(address to, uint256 amount)']);
+
+// Source transactions pushed through the relay, and what should become of each
+const SCENARIOS = [
+    {
+        name: 'value transfer',
+        expect: 'confirmed',
+        tx: { to: RECIPIENT, value: ethers.utils.hexValue(ethers.utils.parseEther('0.01')), data: '0x', gasLimit: ethers.utils.hexValue(21000) }
+    },
+    {
+        name: 'contract call',
+        expect: 'confirmed',
+        tx: { to: TOKEN, value: '0x0', data: ERC20.encodeFunctionData('transfer', [RECIPIENT, 1000]), gasLimit: ethers.utils.hexValue(60000) }
+    },
+    {
+        name: 'reverting call',
+        expect: 'reverted',
+        tx: { to: REVERTING_CONTRACT, value: '0x0', data: '0x12345678', gasLimit: ethers.utils.hexValue(50000) }
+    }
+];
+
+const sleep = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = 2;
+    return error;
+}
+
+function parseCommandLine(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inline] = argv[i].split(/=(.*)/s);
+        if (name === '--mock' || name === '--keep' || name === '--help' || name === '-h') {
+            flags[name.replace(/^-+/, '')] = true;
+        } else if (name === '--timeout') {
+            flags.timeout = inline !== undefined ? inline : argv[++i];
+        } else if (name === '--profile' || name === '--set') {
+            // Read by the config loader
+            if (inline === undefined) i++;
+        } else {
+            throw usageError(`Unknown option ${argv[i]}`);
+        }
+    }
+    if (flags.timeout !== undefined && !/^\d+$/.test(flags.timeout)) {
+        throw usageError(`--timeout must be a number of milliseconds, got "${flags.timeout}"`);
+    }
+    return flags;
+}
+
+// A relay is settled once it is confirmed or skipped, or failed without
+// another retry coming
+function isSettled(entry) {
+    if (!entry) return false;
+    if (entry.status === 'confirmed' || entry.status === 'skipped') return true;
+    const decisions = entry.retryDecisions || [];
+    return entry.status === 'failed' && decisions.length > 0 && !decisions[decisions.length - 1].retry;
+}
+
+// Starts a stand-in node and Etherscan API for every enabled target chain
+// and points the configuration at them, with relay state in a fresh directory
+async function startStandIns(config) {
+    const networks = { ...config.targets.networks };
+    const standIns = [];
+    for (const name of config.targets.enabled) {
+        const network = networks[name];
+        const chain = await new MockTargetChain({ chainId: network.chainId, revertingAddresses: [REVERTING_CONTRACT] }).start();
+        const etherscan = await new MockEtherscanServer({
+            apiKey: ETHERSCAN_API_KEY,
+            provider: new ethers.providers.StaticJsonRpcProvider(chain.url, network.chainId)
+        }).start();
+        networks[name] = { ...network, rpc: chain.url, etherscan: { baseUrl: etherscan.url, apiKey: ETHERSCAN_API_KEY } };
+        standIns.push({ name, chain, etherscan });
+    }
+
+    const runConfig = {
+        ...config,
+        storage: { ...config.storage, dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'verify-relay-')) },
+        targets: { ...config.targets, networks },
+        // Always checked against the stand-in explorer, which indexes at once
+        verification: { ...config.verification, enabled: true, baseDelay: 200, maxDelay: 1000 }
+    };
+    return { runConfig, standIns };
+}
+
+// Mines the scenarios' transactions into one source block, followed by enough
+// blocks for it to reach the confirmation depth. Returns the block.
+function mineScenarios(source) {
+    const mock = source.provider.mockProvider;
+    const block = mock.mineBlockWith(SCENARIOS.map(scenario => scenario.tx));
+    mock.emit('block', block.number);
+    for (let i = 0; i < source.confirmations; i++) {
+        mock.emit('block', mock.mineBlock().number);
+    }
+    return block;
+}
+
+function check(checks, name, ok, detail) {
+    checks.push({ name, ok: !!ok, detail: ok ? null : detail });
+}
+
+function expectEqual(checks, name, expected, actual) {
+    const normalize = value => (value === null || value === undefined ? String(value) :
+        ethers.BigNumber.isBigNumber(value) ? value.toString() : String(value).toLowerCase());
+    check(checks, name, normalize(expected) === normalize(actual), `expected ${normalize(expected)}, got ${normalize(actual)}`);
+}
+
+async function checkConfirmed(checks, relayManager, target, sourceTx, entry) {
+    expectEqual(checks, 'ledger source block', sourceTx.blockNumber, entry.sourceBlockNumber);
+    expectEqual(checks, 'ledger sender', sourceTx.from, entry.from);
+    expectEqual(checks, 'ledger recipient', sourceTx.to, entry.to);
+
+    const relayed = await target.provider.getTransaction(entry.targetHash);
+    check(checks, 'relayed transaction on target chain', relayed, `${entry.targetHash} not found on ${target.name}`);
+    if (relayed) {
+        expectEqual(checks, 'recipient mirrored', sourceTx.to, relayed.to);
+        expectEqual(checks, 'value mirrored', ethers.BigNumber.from(sourceTx.value), relayed.value);
+        expectEqual(checks, 'calldata mirrored', sourceTx.data, relayed.data);
+        expectEqual(checks, 'gas limit mirrored', ethers.BigNumber.from(sourceTx.gasLimit), relayed.gasLimit);
+        expectEqual(checks, 'chain ID', target.chainId, relayed.chainId);
+        expectEqual(checks, 'sent by relayer', entry.relayer, relayed.from);
+    }
+
+    const receipt = await target.provider.getTransactionReceipt(entry.targetHash);
+    check(checks, 'receipt', receipt, `no receipt for ${entry.targetHash}`);
+    if (receipt) {
+        expectEqual(checks, 'receipt status', 1, receipt.status);
+        expectEqual(checks, 'ledger target block', receipt.blockNumber, entry.targetBlockNumber);
+        expectEqual(checks, 'ledger gas used', receipt.gasUsed, entry.gasUsed);
+    }
+
+    if (target.verifier) {
+        const verification = await relayManager.waitForVerification(sourceTx.hash, target.name);
+        check(checks, 'explorer verification', verification && verification.status === 'verified',
+            `verification ${verification ? `${verification.status}${verification.reason ? `: ${verification.reason}` : ''}` : 'missing'}`);
+    }
+}
+
+// Ledger status a reverting call ends up with: skipped when the pre-flight
+// simulation catches it and PREFLIGHT_ON_REVERT is skip, failed otherwise
+function revertedStatus(preflight) {
+    return preflight.enabled && preflight.onRevert === 'skip' ? 'skipped' : 'failed';
+}
+
+// A call that reverts on the target is never sent when the pre-flight
+// simulation catches it; without one it is mined with status 0. Failed
+// relays are dead-lettered either way.
+async function checkReverted(checks, relayManager, target, entry) {
+    const { preflight } = relayManager.config;
+    if (entry.status === 'failed') {
+        const deadLetter = relayManager.deadLetters.get(entry.key);
+        check(checks, 'dead-lettered', deadLetter && deadLetter.status === 'dead', 'no dead-letter entry');
+    }
+    if (preflight.enabled) {
+        check(checks, 'caught by pre-flight simulation, nothing sent', !entry.targetHash, `sent as ${entry.targetHash}`);
+        return;
+    }
+    const receipt = entry.targetHash ? await target.provider.getTransactionReceipt(entry.targetHash) : null;
+    check(checks, 'receipt', receipt, entry.targetHash ? `no receipt for ${entry.targetHash}` : 'never sent');
+    if (receipt) {
+        expectEqual(checks, 'receipt status', 0, receipt.status);
+    }
+}
+
+async function verifyRelay(relayManager, source, target, scenario, sourceTx) {
+    const checks = [];
+    const entry = relayManager.ledger.get(relayKey(target.name, sourceTx.hash));
+    const expectedStatus = scenario.expect === 'confirmed' ? 'confirmed' : revertedStatus(relayManager.config.preflight);
+    const detail = entry ? `status ${entry.status}${entry.lastError ? ` (${entry.lastError})` : ''}${isSettled(entry) ? '' : ', still in progress'}` : 'no ledger entry';
+    check(checks, `ledger entry ${expectedStatus}`, entry && entry.status === expectedStatus && isSettled(entry), detail);
+    if (entry && entry.status === expectedStatus) {
+        if (scenario.expect === 'confirmed') {
+            await checkConfirmed(checks, relayManager, target, sourceTx, entry);
+        } else {
+            await checkReverted(checks, relayManager, target, entry);
+        }
+    }
+    return { scenario: scenario.name, source: source.name, target: target.name, sourceHash: sourceTx.hash, targetHash: entry ? entry.targetHash : null, checks };
+}
+
+// Nothing but the scenarios was sent, and nothing twice
+function verifyTargetChain(standIn, results) {
+    const checks = [];
+    const sent = results.filter(result => result.target === standIn.name && result.targetHash).map(result => result.targetHash.toLowerCase());
+    const received = Array.from(standIn.chain.transactions.keys());
+    check(checks, 'no duplicate or unexpected transactions', received.length === sent.length && received.every(hash => sent.includes(hash)),
+        `${received.length} transaction(s) received, ${sent.length} expected`);
+    return { target: standIn.name, checks };
+}
+
+function printReport(results) {
+    for (const result of results) {
+        const failed = result.checks.filter(each => !each.ok);
+        const title = result.scenario ? `${result.scenario} (${result.sourceHash}) to ${result.target}` : `${result.target} chain`;
+        console.log(`${failed.length === 0 ? '✓' : '!'} ${title}`);
+        for (const each of result.checks) {
+            console.log(`    ${each.ok ? '✓' : '!'} ${each.name}${each.detail ? `: ${each.detail}` : ''}`);
+        }
+    }
+    const checks = results.flatMap(result => result.checks);
+    const passed = checks.filter(each => each.ok).length;
+    console.log(`\n${passed === checks.length ? '✓ PASS' : '! FAIL'}: ${passed} of ${checks.length} checks passed`);
+    return passed === checks.length;
+}
+
+async function main(argv) {
+    const flags = parseCommandLine(argv);
+    if (flags.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!flags.mock) {
+        throw usageError('verify-relay only runs against mock networks; pass --mock');
+    }
+    const config = loadConfig({ argv: [...argv, '--set', 'mock.enabled=true'] });
+    const timeout = flags.timeout !== undefined ? Number(flags.timeout) : 60000;
+
+    const { runConfig, standIns } = await startStandIns(config);
+    const relayManager = new RelayManager(runConfig);
+    try {
+        await relayManager.initialize();
+        // Only the scripted transactions are relayed
+        for (const source of relayManager.sources.values()) {
+            source.provider.mockProvider.stopBlockProduction();
+        }
+        const source = relayManager.getSource();
+        const block = mineScenarios(source);
+        const sourceTxs = await Promise.all(block.transactions.map(hash => source.provider.getTransaction(hash)));
+        console.log(`\nRelaying ${sourceTxs.length} scripted transactions from ${source.name} block ${block.number} to ${Array.from(relayManager.targets.keys()).join(', ')}...`);
+
+        const keys = sourceTxs.flatMap(tx => Array.from(relayManager.targets.keys()).map(target => relayKey(target, tx.hash)));
+        const deadline = Date.now() + timeout;
+        while (!keys.every(key => isSettled(relayManager.ledger.get(key))) && Date.now() < deadline) {
+            await sleep(200);
+        }
+
+        const results = [];
+        for (const target of relayManager.targets.values()) {
+            for (const [index, scenario] of SCENARIOS.entries()) {
+                results.push(await verifyRelay(relayManager, source, target, scenario, sourceTxs[index]));
+            }
+        }
+        results.push(...standIns.map(standIn => verifyTargetChain(standIn, results)));
+
+        console.log(`\nRelay verification report${flags.keep ? ` (relay state kept in ${runConfig.storage.dataDir})` : ''}`);
+        return printReport(results) ? 0 : 1;
+    } finally {
+        await relayManager.stop();
+        for (const { chain, etherscan } of standIns) {
+            await etherscan.stop();
+            await chain.stop();
+        }
+        if (!flags.keep) {
+            fs.rmSync(runConfig.storage.dataDir, { recursive: true, force: true });
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code), error => {
+        console.error(error instanceof ConfigError ? error.message : `verify-relay: ${error.message}`);
+        process.exit(error instanceof ConfigError ? 4 : error.exitCode || 1);
+    });
+}
+
+module.exports = { main, SCENARIOS };
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const { loadConfig, ConfigError } = require('../scripts/config/config-loader.cjs');
+
+// Loads from the given environment alone, never the process's own or .env
+const load = (env = {}, argv = []) => loadConfig({ env, argv });
+
+const problemsOf = (env, argv) => {
+    try {
+        load(env, argv);
+    } catch (error) {
+        expect(error).to.be.an.instanceOf(ConfigError);
+        return error.problems;
+    }
+    throw new Error('expected a ConfigError');
+};
+
+describe('loadConfig', function () {
+    describe('precedence', function () {
+        it('takes a setting from the profile over the defaults', function () {
+            expect(load().confirmations.depth).to.equal(2);
+            expect(load({ RELAY_PROFILE: 'staging', MOCK_ENABLED: 'true' }).confirmations.depth).to.equal(6);
+        });
+
+        it('takes the environment over the profile', function () {
+            expect(load({ CONFIRMATION_DEPTH: '4' }).confirmations.depth).to.equal(4);
+        });
+
+        it('takes --set over the environment', function () {
+            const config = load({ CONFIRMATION_DEPTH: '4' }, ['--set', 'confirmations.depth=8']);
+            expect(config.confirmations.depth).to.equal(8);
+        });
+
+        it('takes --profile over RELAY_PROFILE', function () {
+            const config = load({ RELAY_PROFILE: 'dev', MOCK_ENABLED: 'true' }, ['--profile=staging']);
+            expect(config.profile).to.equal('staging');
+            expect(config.budget.maxTxPerHour).to.equal(100);
+        });
+
+        it('ignores the process command line unless it is passed in', function () {
+            const argv = process.argv;
+            process.argv = [...argv, '--set', 'confirmations.depth=9'];
+            try {
+                expect(load().confirmations.depth).to.equal(2);
+            } finally {
+                process.argv = argv;
+            }
+        });
+    });
+
+    describe('validation', function () {
+        it('reports every problem at once with where the value came from', function () {
+            const problems = problemsOf({ CONFIRMATION_DEPTH: 'deep', FEE_STRATEGY: 'fastest' }, ['--set', 'rpc.quorum=0']);
+
+            expect(problems).to.have.lengthOf(3);
+            expect(problems).to.include('confirmations.depth: must be a whole number, got "deep" (from env CONFIRMATION_DEPTH)');
+            expect(problems).to.include('fees.strategy: must be one of slow, normal, fast, got "fastest" (from env FEE_STRATEGY)');
+            expect(problems).to.include('rpc.quorum: must be at least 1, got 0 (from --set)');
+        });
+
+        it('rejects unknown settings and profiles', function () {
+            expect(problemsOf({}, ['--set', 'fees.colour=red'])).to.deep.equal(['--set fees.colour: unknown setting']);
+            expect(problemsOf({}, ['--profile', 'nope'])[0]).to.match(/^unknown profile "nope"/);
+        });
+
+        it('checks settings that depend on each other', function () {
+            expect(problemsOf({ SIGNER_TYPE: 'mnemonic' })).to.deep.equal(['signer.type "mnemonic" also needs signer.mnemonic (SIGNER_MNEMONIC)']);
+            expect(problemsOf({ RELAY_PROFILE: 'prod', MOCK_ENABLED: 'true', SIGNER_TYPE: 'privateKey', ETHEREUM_PRIVATE_KEY: `0x${'1'.repeat(64)}` }))
+                .to.deep.equal(['a raw private key signer is not allowed in the prod profile, use keystore, mnemonic or remote']);
+        });
+
+        it('needs a value after --set', function () {
+            expect(problemsOf({}, ['--set'])).to.deep.equal(['--set needs a value']);
+        });
+    });
+});
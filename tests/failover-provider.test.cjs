@@ -0,0 +1,198 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { FailoverProvider, isEndpointFailure } = require('../scripts/relay/failover-provider.cjs');
+
+const network = { name: 'test', chainId: 1337 };
+
+const unreachable = () => Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' });
+const rpcError = (code, message) => Object.assign(new Error(message), { code });
+
+// Endpoint that answers every method through answer(method, params)
+function stubEndpoint(answer) {
+    const stub = { calls: [], send: async (method, params) => {
+        stub.calls.push(method);
+        return answer(method, params);
+    } };
+    return stub;
+}
+
+describe('FailoverProvider', function () {
+    let provider;
+
+    afterEach(async function () {
+        if (provider) await provider.destroy();
+        provider = null;
+    });
+
+    function createProvider(stubs, options = {}) {
+        const urls = stubs.map((stub, i) => `http://rpc-${i}.example`);
+        provider = new FailoverProvider(urls, network, { healthCheckInterval: 60000, ...options });
+        provider.endpoints.forEach((endpoint, i) => { endpoint.provider = stubs[i]; });
+        return provider;
+    }
+
+    describe('send', function () {
+        it('fails over to the next endpoint when one is unreachable', async function () {
+            const down = stubEndpoint(() => { throw unreachable(); });
+            const up = stubEndpoint(() => '0x10');
+            createProvider([down, up]);
+
+            expect(await provider.send('eth_blockNumber', [])).to.equal('0x10');
+            expect(provider.current).to.equal(provider.endpoints[1]);
+            expect(provider.endpoints[0].failures).to.equal(1);
+        });
+
+        it('passes a JSON-RPC error on without trying another endpoint', async function () {
+            const reverts = stubEndpoint(() => { throw rpcError(3, 'execution reverted'); });
+            const other = stubEndpoint(() => '0x');
+            createProvider([reverts, other]);
+
+            const error = await provider.send('eth_call', [{}]).then(() => null, caught => caught);
+            expect(error.message).to.equal('execution reverted');
+            expect(other.calls).to.have.lengthOf(0);
+        });
+
+        it('answers with the hash when a retried broadcast is already known', async function () {
+            const raw = '0x1234';
+            const down = stubEndpoint(() => { throw unreachable(); });
+            const known = stubEndpoint(() => { throw rpcError(-32000, 'already known'); });
+            createProvider([down, known]);
+
+            expect(await provider.send('eth_sendRawTransaction', [raw])).to.equal(ethers.utils.keccak256(raw));
+        });
+
+        it('keeps "already known" an error when no endpoint failed before', async function () {
+            const known = stubEndpoint(() => { throw rpcError(-32000, 'already known'); });
+            createProvider([known, stubEndpoint(() => '0x')]);
+
+            const error = await provider.send('eth_sendRawTransaction', ['0x1234']).then(() => null, caught => caught);
+            expect(error.message).to.equal('already known');
+        });
+    });
+
+    describe('rank', function () {
+        it('puts endpoints whose head trails the others last', function () {
+            createProvider([stubEndpoint(() => '0x'), stubEndpoint(() => '0x')]);
+            const [behind, ahead] = provider.endpoints;
+            behind.recordHead(100);
+            ahead.recordHead(105);
+
+            expect(provider.rank()).to.deep.equal([ahead, behind]);
+        });
+
+        it('tries endpoints cooling down after those in rotation', function () {
+            createProvider([stubEndpoint(() => '0x'), stubEndpoint(() => '0x')]);
+            const [cooling, up] = provider.endpoints;
+            cooling.downUntil = Date.now() + 60000;
+
+            expect(provider.rank()).to.deep.equal([up, cooling]);
+        });
+    });
+
+    describe('cooldown', function () {
+        it('takes an endpoint out after maxFailures and doubles the cooldown while it keeps failing', async function () {
+            createProvider([stubEndpoint(() => { throw unreachable(); })], { maxFailures: 2, cooldown: 1000 });
+            const [endpoint] = provider.endpoints;
+            const fail = () => provider.send('eth_blockNumber', []).catch(() => {});
+
+            await fail();
+            expect(endpoint.isDown()).to.equal(false);
+            await fail();
+            expect(endpoint.downUntil - Date.now()).to.be.within(900, 1000);
+            await fail();
+            expect(endpoint.downUntil - Date.now()).to.be.within(1900, 2000);
+            for (let i = 0; i < 5; i++) {
+                await fail();
+            }
+            // Capped at ten times the cooldown
+            expect(endpoint.downUntil - Date.now()).to.be.within(9900, 10000);
+        });
+
+        it('brings an endpoint back once it answers again', async function () {
+            let healthy = false;
+            createProvider([stubEndpoint(() => {
+                if (!healthy) throw unreachable();
+                return '0x1';
+            })], { maxFailures: 1, cooldown: 1000 });
+            const [endpoint] = provider.endpoints;
+            await provider.send('eth_blockNumber', []).catch(() => {});
+            expect(endpoint.isDown()).to.equal(true);
+
+            healthy = true;
+            await provider.checkHealth();
+            expect(endpoint.isDown()).to.equal(false);
+            expect(endpoint.head).to.equal(1);
+        });
+    });
+
+    describe('sendWithQuorum', function () {
+        const block = hash => ({ hash, number: '0x1' });
+
+        it('returns the block enough endpoints agree on', async function () {
+            createProvider([
+                stubEndpoint(() => block('0xaa')),
+                stubEndpoint(() => block('0xbb')),
+                stubEndpoint(() => block('0xaa'))
+            ], { quorum: 2 });
+
+            expect(await provider.send('eth_getBlockByNumber', ['0x1', false])).to.deep.equal(block('0xaa'));
+        });
+
+        it('treats an answer some endpoints do not have yet as not found', async function () {
+            createProvider([
+                stubEndpoint(() => block('0xaa')),
+                stubEndpoint(() => null),
+                stubEndpoint(() => block('0xbb'))
+            ], { quorum: 2 });
+
+            expect(await provider.send('eth_getBlockByNumber', ['0x1', false])).to.equal(null);
+        });
+
+        it('fails with QUORUM_NOT_REACHED when too few endpoints agree', async function () {
+            createProvider([
+                stubEndpoint(() => block('0xaa')),
+                stubEndpoint(() => { throw unreachable(); }),
+                stubEndpoint(() => block('0xbb'))
+            ], { quorum: 2 });
+
+            const error = await provider.send('eth_getBlockByNumber', ['0x1', false]).then(() => null, caught => caught);
+            expect(error.code).to.equal('QUORUM_NOT_REACHED');
+        });
+
+        it('passes on a JSON-RPC error when no endpoint answered', async function () {
+            createProvider([
+                stubEndpoint(() => { throw rpcError(-32602, 'invalid argument'); }),
+                stubEndpoint(() => { throw unreachable(); })
+            ], { quorum: 2 });
+
+            const error = await provider.send('eth_getTransactionReceipt', ['0x01']).then(() => null, caught => caught);
+            expect(error.message).to.equal('invalid argument');
+        });
+
+        it('leaves other methods to a single endpoint', async function () {
+            const first = stubEndpoint(() => '0x5');
+            const second = stubEndpoint(() => '0x5');
+            createProvider([first, second], { quorum: 2 });
+
+            await provider.send('eth_blockNumber', []);
+            expect(first.calls.length + second.calls.length).to.equal(1);
+        });
+    });
+});
+
+describe('isEndpointFailure', function () {
+    it('counts errors without a JSON-RPC code as endpoint failures', function () {
+        expect(isEndpointFailure(unreachable())).to.equal(true);
+        expect(isEndpointFailure(Object.assign(new Error('timed out'), { code: 'TIMEOUT' }))).to.equal(true);
+    });
+
+    it('counts rate limiting as an endpoint failure', function () {
+        expect(isEndpointFailure(rpcError(429, 'too many requests'))).to.equal(true);
+        expect(isEndpointFailure({ error: { code: -32005, message: 'limit exceeded' } })).to.equal(true);
+    });
+
+    it('leaves other JSON-RPC errors to the caller', function () {
+        expect(isEndpointFailure(rpcError(3, 'execution reverted'))).to.equal(false);
+        expect(isEndpointFailure({ code: 'SERVER_ERROR', error: { code: -32000, message: 'nonce too low' } })).to.equal(false);
+    });
+});
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { NonceManager } = require('../scripts/relay/nonce-manager.cjs');
+
+// A signer whose node knows the transactions in `mempool` and has mined
+// everything below `mined`
+function fakeSigner() {
+    const signer = {
+        mined: 0,
+        mempool: new Set(),
+        broadcasts: [],
+        fillers: [],
+        getAddress: async () => '0x0000000000000000000000000000000000000001',
+        getTransactionCount: async blockTag => (blockTag === 'pending' ? signer.mined + signer.mempool.size : signer.mined),
+        sendTransaction: async tx => {
+            signer.fillers.push(tx);
+            return { hash: `0xf${tx.nonce}` };
+        },
+        provider: {
+            getTransaction: async hash => (signer.mempool.has(hash) ? { hash } : null),
+            sendTransaction: async rawTx => {
+                signer.broadcasts.push(rawTx);
+                if (signer.rebroadcastError) throw signer.rebroadcastError;
+                return { hash: '0xb0' };
+            }
+        }
+    };
+    return signer;
+}
+
+describe('NonceManager', function () {
+    let signer;
+    let manager;
+
+    beforeEach(async function () {
+        signer = fakeSigner();
+        manager = new NonceManager(signer);
+        const nonce = await manager.acquire();
+        manager.markSent(nonce, '0xa0', '0xraw0');
+    });
+
+    describe('findGaps', function () {
+        it('does not call a transaction dropped on a single miss', async function () {
+            expect(await manager.findGaps()).to.deep.equal([]);
+            expect(await manager.findGaps()).to.deep.equal([{ nonce: 0, rawTx: '0xraw0' }]);
+        });
+
+        it('starts counting again once the transaction is seen', async function () {
+            await manager.findGaps();
+            signer.mempool.add('0xa0');
+            await manager.findGaps();
+            signer.mempool.delete('0xa0');
+
+            expect(await manager.findGaps()).to.deep.equal([]);
+        });
+    });
+
+    describe('fillGaps', function () {
+        it('re-broadcasts a dropped transaction', async function () {
+            await manager.findGaps();
+            await manager.fillGaps();
+
+            expect(signer.broadcasts).to.deep.equal(['0xraw0']);
+            expect(signer.fillers).to.have.lengthOf(0);
+            expect(manager.pending.get(0).hash).to.equal('0xb0');
+        });
+
+        it('keeps waiting when the node already knows the re-broadcast', async function () {
+            signer.rebroadcastError = new Error('already known');
+            await manager.findGaps();
+            await manager.fillGaps();
+
+            expect(signer.fillers).to.have.lengthOf(0);
+            expect(manager.pending.get(0)).to.include({ hash: '0xa0', rawTx: '0xraw0', misses: 0 });
+        });
+
+        it('fills the nonce when the re-broadcast is rejected', async function () {
+            signer.rebroadcastError = new Error('replacement transaction underpriced');
+            await manager.findGaps();
+            await manager.fillGaps();
+
+            expect(signer.fillers).to.have.lengthOf(1);
+            expect(signer.fillers[0]).to.include({ nonce: 0, value: 0 });
+            expect(manager.pending.get(0).hash).to.equal('0xf0');
+        });
+    });
+});
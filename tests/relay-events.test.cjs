@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { RelayEventLog } = require('../scripts/relay/relay-events.cjs');
+
+describe('RelayEventLog', function () {
+    let dir;
+    let filePath;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-events-'));
+        filePath = path.join(dir, 'relay-events.jsonl');
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const lines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+    it('appends one line per event', function () {
+        const log = new RelayEventLog(filePath);
+        log.publish({ status: 'queued', key: 'ethereum:0x01' });
+        log.publish({ status: 'submitted', key: 'ethereum:0x01' });
+
+        expect(lines().map(line => JSON.parse(line).status)).to.deep.equal(['queued', 'submitted']);
+    });
+
+    it('carries ids and events across restarts', function () {
+        const log = new RelayEventLog(filePath);
+        log.publish({ status: 'queued' });
+        log.publish({ status: 'confirmed' });
+
+        const reopened = new RelayEventLog(filePath);
+        expect(reopened.lastId).to.equal(2);
+        expect(reopened.publish({ status: 'verified' }).id).to.equal(3);
+        expect(reopened.since(1).events.map(event => event.status)).to.deep.equal(['confirmed', 'verified']);
+    });
+
+    it('rewrites the file with the newest events once it holds twice the capacity', function () {
+        const log = new RelayEventLog(filePath, { capacity: 3 });
+        for (let i = 0; i < 5; i++) {
+            log.publish({ status: 'queued' });
+        }
+        expect(lines()).to.have.lengthOf(5);
+
+        log.publish({ status: 'queued' });
+        expect(lines().map(line => JSON.parse(line).id)).to.deep.equal([4, 5, 6]);
+        expect(log.oldestId).to.equal(4);
+        expect(log.since(1).missed).to.equal(true);
+    });
+
+    it('drops a line cut short by a crash', function () {
+        const log = new RelayEventLog(filePath);
+        log.publish({ status: 'queued' });
+        fs.appendFileSync(filePath, '{"id":2,"sta');
+
+        const reopened = new RelayEventLog(filePath);
+        expect(reopened.lastId).to.equal(1);
+        reopened.publish({ status: 'submitted' });
+        expect(new RelayEventLog(filePath).events.map(event => event.id)).to.deep.equal([1, 2]);
+    });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { RelayLedger } = require('../scripts/relay/relay-ledger.cjs');
+
+describe('RelayLedger', function () {
+    let dir;
+    let filePath;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-ledger-'));
+        filePath = path.join(dir, 'relay-ledger.jsonl');
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const lines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+    it('appends a line per change and reads back the latest state', function () {
+        const ledger = new RelayLedger(filePath);
+        ledger.begin('ethereum:0x01');
+        ledger.begin('ethereum:0x02');
+        ledger.markInFlight('ethereum:0x01', 7);
+        expect(lines()).to.have.lengthOf(3);
+
+        const reopened = new RelayLedger(filePath);
+        expect(reopened.get('ethereum:0x01')).to.include({ status: 'in-flight', nonce: 7 });
+        expect(reopened.get('ethereum:0x02')).to.include({ status: 'pending' });
+    });
+
+    it('rewrites the file with one line per entry once it holds twice as many', function () {
+        const ledger = new RelayLedger(filePath);
+        ledger.begin('ethereum:0x01');
+        ledger.begin('ethereum:0x02');
+        ledger.markInFlight('ethereum:0x01', 7);
+        ledger.markSubmitted('ethereum:0x01', '0xaa');
+
+        expect(lines().map(line => JSON.parse(line).key)).to.deep.equal(['ethereum:0x01', 'ethereum:0x02']);
+        expect(new RelayLedger(filePath).get('ethereum:0x01')).to.include({ status: 'submitted', targetHash: '0xaa' });
+    });
+
+    it('drops a line cut short by a crash', function () {
+        const ledger = new RelayLedger(filePath);
+        ledger.begin('ethereum:0x01');
+        fs.appendFileSync(filePath, '{"key":"ethereum:0x01","sta');
+
+        const reopened = new RelayLedger(filePath);
+        expect(reopened.get('ethereum:0x01')).to.include({ status: 'pending' });
+        reopened.markSubmitted('ethereum:0x01', '0xaa');
+        expect(new RelayLedger(filePath).get('ethereum:0x01')).to.include({ status: 'submitted' });
+    });
+
+    it('moves entries over from the JSON file of older versions', function () {
+        const legacyFilePath = path.join(dir, 'relay-ledger.json');
+        fs.writeFileSync(legacyFilePath, JSON.stringify({ entries: { '0x01': { sourceHash: '0x01', status: 'confirmed', attempts: 1 } } }));
+
+        const ledger = new RelayLedger(filePath, { legacyTarget: 'ethereum', legacyFilePath });
+        expect(ledger.get('ethereum:0x01')).to.include({ status: 'confirmed', target: 'ethereum' });
+        expect(new RelayLedger(filePath).get('ethereum:0x01')).to.include({ status: 'confirmed' });
+    });
+});
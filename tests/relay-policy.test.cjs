@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { RelayPolicy } = require('../scripts/relay/relay-policy.cjs');
+
+const alice = '0x00000000000000000000000000000000000000a1';
+const bob = '0x00000000000000000000000000000000000000b0';
+const ether = amount => ethers.utils.parseEther(amount);
+
+describe('RelayPolicy', function () {
+    describe('evaluate', function () {
+        it('lets the first matching rule decide', function () {
+            const policy = new RelayPolicy({
+                rules: [
+                    { name: 'trusted', action: 'allow', match: { from: [alice] } },
+                    { name: 'everyone-else', action: 'deny' }
+                ]
+            });
+
+            expect(policy.evaluate({ from: alice, to: bob })).to.include({ allowed: true, rule: 'trusted' });
+            expect(policy.evaluate({ from: bob, to: alice })).to.include({ allowed: false, rule: 'everyone-else' });
+        });
+
+        it('falls back to the default action when no rule matches', function () {
+            const policy = new RelayPolicy({
+                defaultAction: 'deny',
+                rules: [{ action: 'allow', match: { to: [bob] } }]
+            });
+
+            expect(policy.evaluate({ from: alice, to: alice })).to.include({ allowed: false, rule: null });
+        });
+
+        it('matches addresses and selectors regardless of case', function () {
+            const policy = new RelayPolicy({
+                rules: [{ name: 'approvals', action: 'deny', match: { to: ['0x00000000000000000000000000000000000000B0'], selector: '0x095EA7B3' } }]
+            });
+
+            expect(policy.evaluate({ to: bob, data: '0x095ea7b3' + '00'.repeat(64) })).to.include({ allowed: false });
+            expect(policy.evaluate({ to: bob, data: '0xa9059cbb' + '00'.repeat(64) })).to.include({ allowed: true });
+        });
+
+        it('treats minValue and maxValue as inclusive bounds', function () {
+            const policy = new RelayPolicy({
+                defaultAction: 'deny',
+                rules: [{ name: 'band', action: 'allow', match: { minValue: '1.0', maxValue: '2.0' } }]
+            });
+
+            expect(policy.evaluate({ to: bob, value: ether('1.0') }).allowed).to.equal(true);
+            expect(policy.evaluate({ to: bob, value: ether('2.0') }).allowed).to.equal(true);
+            expect(policy.evaluate({ to: bob, value: ether('1.0').sub(1) }).allowed).to.equal(false);
+            expect(policy.evaluate({ to: bob, value: ether('2.0').add(1) }).allowed).to.equal(false);
+        });
+
+        it('tells contract creations from calls', function () {
+            const policy = new RelayPolicy({
+                rules: [{ name: 'no-deployments', action: 'deny', match: { contractCreation: true } }]
+            });
+
+            expect(policy.evaluate({ to: null, data: '0x6080' })).to.include({ allowed: false, reason: 'contract creation' });
+            expect(policy.evaluate({ to: bob }).allowed).to.equal(true);
+
+            const callsOnly = new RelayPolicy({
+                defaultAction: 'deny',
+                rules: [{ action: 'allow', match: { contractCreation: false } }]
+            });
+            expect(callsOnly.evaluate({ to: bob }).allowed).to.equal(true);
+            expect(callsOnly.evaluate({ to: null }).allowed).to.equal(false);
+        });
+    });
+
+    describe('validation', function () {
+        it('rejects unknown match fields', function () {
+            expect(() => new RelayPolicy({ rules: [{ name: 'typo', action: 'deny', match: { sender: [alice] } }] }))
+                .to.throw('Relay policy typo: unknown match field(s) sender');
+        });
+
+        it('rejects unknown actions', function () {
+            expect(() => new RelayPolicy({ defaultAction: 'skip' })).to.throw('Invalid relay policy default action "skip"');
+            expect(() => new RelayPolicy({ rules: [{ action: 'skip' }] })).to.throw('Relay policy rule #1: action must be one of allow, deny');
+        });
+
+        it('rejects values that are not ether amounts', function () {
+            expect(() => new RelayPolicy({ rules: [{ action: 'deny', match: { minValue: 'lots' } }] }))
+                .to.throw('minValue "lots" is not an ether amount');
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ReorgGuard } = require('../scripts/relay/reorg-guard.cjs');
+const { MockProvider } = require('../scripts/mock/mock-provider.cjs');
+const RelayManager = require('../scripts/relay/relay-manager.cjs');
+const { relayKey } = require('../scripts/relay/relay-ledger.cjs');
+const { loadConfig } = require('../scripts/config/config-loader.cjs');
+
+// A mock chain of `height` blocks with one transaction each
+function mockChain(height) {
+    const chain = new MockProvider();
+    for (let i = 0; i < height; i++) {
+        chain.mineBlock(1);
+    }
+    return chain;
+}
+
+describe('ReorgGuard', function () {
+    describe('isContinuous', function () {
+        it('accepts a block whose parent is the recorded block before it', async function () {
+            const chain = mockChain(2);
+            const guard = new ReorgGuard();
+            guard.record(await chain.getBlock(1));
+
+            expect(guard.isContinuous(await chain.getBlock(2))).to.equal(true);
+        });
+
+        it('rejects a block from a fork', async function () {
+            const chain = mockChain(2);
+            const guard = new ReorgGuard();
+            guard.record(await chain.getBlock(1));
+            chain.reorg(2);
+
+            expect(guard.isContinuous(await chain.getBlock(2))).to.equal(false);
+        });
+
+        it('accepts any block when nothing before it is recorded', async function () {
+            const chain = mockChain(3);
+            const guard = new ReorgGuard();
+            guard.record(await chain.getBlock(1));
+
+            expect(guard.isContinuous(await chain.getBlock(3))).to.equal(true);
+        });
+    });
+
+    describe('findCommonAncestor', function () {
+        it('walks back to the newest block both chains share', async function () {
+            const chain = mockChain(5);
+            const guard = new ReorgGuard();
+            for (let number = 1; number <= 5; number++) {
+                guard.record(await chain.getBlock(number));
+            }
+            chain.reorg(2);
+
+            expect(await guard.findCommonAncestor(chain, 5)).to.equal(3);
+            expect(guard.rewind(3).map(block => block.number)).to.deep.equal([4, 5]);
+            expect(guard.get(4)).to.equal(null);
+        });
+
+        it('returns null when the fork is older than the tracked window', async function () {
+            const chain = mockChain(5);
+            const guard = new ReorgGuard({ window: 2 });
+            for (let number = 1; number <= 5; number++) {
+                guard.record(await chain.getBlock(number));
+            }
+            chain.reorg(3);
+
+            expect(await guard.findCommonAncestor(chain, 5)).to.equal(null);
+        });
+    });
+});
+
+describe('RelayManager reorg handling', function () {
+    let dir;
+    let manager;
+    let source;
+    let chain;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-reorg-'));
+        const config = loadConfig({ env: { CONFIRMATION_DEPTH: '0', RELAY_DATA_DIR: dir }, argv: [] });
+        manager = new RelayManager(config);
+        // Relays stay queued so the test sees what intake decided
+        manager.workQueue.pause();
+        source = manager.getSource();
+        chain = new MockProvider();
+        source.provider = chain;
+        source.connected = true;
+    });
+
+    afterEach(async function () {
+        await manager.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const target = () => manager.getTarget().name;
+    const queuedHashes = () => Array.from(manager.workQueue.tasks.values()).map(task => task.sourceHash);
+
+    async function mineAndProcess(count) {
+        for (let i = 0; i < count; i++) {
+            chain.mineBlock(1);
+            await manager.handleNewBlock(source, chain.blockNumber);
+        }
+    }
+
+    it('rewinds to the common ancestor and relays the canonical blocks', async function () {
+        await mineAndProcess(3);
+        const orphaned = [(await chain.getBlock(2)).transactions[0], (await chain.getBlock(3)).transactions[0]];
+        // The relay from block 2 already went out; the one from block 3 is still queued
+        manager.ledger.begin(relayKey(target(), orphaned[0]));
+
+        chain.reorg(2);
+        const canonical = [(await chain.getBlock(2)).transactions[0], (await chain.getBlock(3)).transactions[0]];
+        await mineAndProcess(1);
+
+        const [report] = manager.getReorgReports();
+        expect(report.commonAncestor).to.equal(1);
+        expect(report.orphanedBlocks.map(block => block.number)).to.deep.equal([2, 3]);
+        expect(report.reorgedOutTransactions.map(tx => tx.hash)).to.deep.equal([orphaned[0]]);
+
+        expect(source.lastProcessedBlock).to.equal(4);
+        expect(source.checkpoint.load().blockHash).to.equal((await chain.getBlock(4)).hash);
+        expect(queuedHashes()).to.include.members(canonical);
+        expect(queuedHashes()).to.not.include(orphaned[1]);
+
+        const reorged = manager.events.since(0, { statuses: ['reorged'] }).events;
+        expect(reorged.map(event => event.sourceHash)).to.deep.equal([orphaned[0]]);
+    });
+
+    it('does not relay again a transaction the new chain still includes', async function () {
+        await mineAndProcess(2);
+        const kept = (await chain.getBlock(2)).transactions[0];
+        manager.ledger.begin(relayKey(target(), kept));
+
+        // Block 2 is re-mined with the same transaction under a new hash
+        const tx = await chain.getTransaction(kept);
+        chain.blocks.delete(2);
+        chain.blockNumber = 1;
+        chain.transactions.set(kept, tx);
+        const fork = chain.mineBlock(0);
+        fork.transactions.push(kept);
+        await mineAndProcess(1);
+
+        const [report] = manager.getReorgReports();
+        expect(report.orphanedBlocks.map(block => block.number)).to.deep.equal([2]);
+        expect(report.reorgedOutTransactions).to.deep.equal([]);
+        expect(source.lastProcessedBlock).to.equal(3);
+    });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { SpendingBudget } = require('../scripts/relay/spend-budget.cjs');
+
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+
+// 21000 gas at 1000 gwei reserves 0.021 ETH
+const transfer = (value = '0') => ({ gasLimit: 21000, maxFeePerGas: gwei(1000), value: ethers.utils.parseEther(value) });
+
+describe('SpendingBudget', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-budget-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createBudget = limits => new SpendingBudget(path.join(dir, 'budget.json'), limits);
+
+    describe('tryReserve', function () {
+        it('rejects a value above the per-transaction cap outright', function () {
+            const budget = createBudget({ maxValuePerTx: '1' });
+            const verdict = budget.tryReserve('a', transfer('2'));
+            expect(verdict.allowed).to.equal(false);
+            expect(verdict.scope).to.equal('transaction');
+            expect(verdict.budget).to.equal('maxValuePerTx');
+        });
+
+        it('pauses until the oldest spending leaves the hourly window', function () {
+            const budget = createBudget({ maxGasSpendPerHour: '0.05' });
+            expect(budget.tryReserve('a', transfer(), 1000).allowed).to.equal(true);
+            expect(budget.tryReserve('b', transfer(), 2000).allowed).to.equal(true);
+
+            const verdict = budget.tryReserve('c', transfer(), 3000);
+            expect(verdict.allowed).to.equal(false);
+            expect(verdict.scope).to.equal('window');
+            expect(verdict.budget).to.equal('maxGasSpendPerHour');
+            expect(verdict.resumeAt).to.equal(1000 + 60 * 60 * 1000);
+        });
+
+        it('replaces the pending reservation of the same relay', function () {
+            const budget = createBudget({ maxTxPerHour: 1 });
+            expect(budget.tryReserve('a', transfer(), 1000).allowed).to.equal(true);
+            expect(budget.tryReserve('a', transfer(), 2000).allowed).to.equal(true);
+            expect(budget.records).to.have.lengthOf(1);
+        });
+
+        it('keeps what earlier attempts of a retried relay spent', function () {
+            const budget = createBudget({ maxTxPerHour: 1 });
+            expect(budget.tryReserve('a', transfer(), 1000).allowed).to.equal(true);
+            budget.settle('a', gwei(21000 * 100));
+
+            const verdict = budget.tryReserve('a', transfer(), 2000);
+            expect(verdict.allowed).to.equal(false);
+            expect(verdict.budget).to.equal('maxTxPerHour');
+        });
+    });
+
+    describe('settle', function () {
+        it('replaces the reservation with the actual cost', function () {
+            const budget = createBudget({ maxGasSpendPerHour: '1' });
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a', gwei(21000 * 100));
+
+            expect(budget.records).to.have.lengthOf(1);
+            expect(budget.records[0].pending).to.equal(false);
+            expect(budget.remaining().gasPerHour).to.equal(ethers.utils.parseEther('1').sub(gwei(21000 * 100)).toString());
+        });
+
+        it('settles only the pending attempt of a retried relay', function () {
+            const budget = createBudget({});
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a', gwei(1000));
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a', gwei(2000));
+
+            expect(budget.records.map(record => record.gasCost)).to.deep.equal([gwei(1000).toString(), gwei(2000).toString()]);
+        });
+
+        it('keeps the reservation as spent without an actual cost', function () {
+            const budget = createBudget({});
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a');
+
+            expect(budget.records[0].pending).to.equal(false);
+            expect(budget.records[0].gasCost).to.equal(gwei(21000 * 1000).toString());
+        });
+
+        it('survives a restart', function () {
+            const budget = createBudget({});
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a', gwei(1000));
+
+            expect(createBudget({}).records).to.deep.equal(budget.records);
+        });
+    });
+
+    describe('release', function () {
+        it('gives back only a pending reservation', function () {
+            const budget = createBudget({});
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.settle('a', gwei(1000));
+            budget.tryReserve('a', transfer(), Date.now());
+            budget.release('a');
+
+            expect(budget.records).to.have.lengthOf(1);
+            expect(budget.records[0].pending).to.equal(false);
+        });
+    });
+});
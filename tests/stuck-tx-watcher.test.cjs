@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { StuckTransactionWatcher } = require('../scripts/relay/stuck-tx-watcher.cjs');
+
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+
+// Receipts are null until a hash is marked mined
+function fakeProvider() {
+    const mined = new Set();
+    return {
+        mined,
+        getTransactionReceipt: async hash => (mined.has(hash) ? { transactionHash: hash, blockNumber: 1, status: 1 } : null)
+    };
+}
+
+describe('StuckTransactionWatcher', function () {
+    const tx = { to: ethers.constants.AddressZero, nonce: 0, gasLimit: 21000, maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(1) };
+
+    describe('waitForReceipt', function () {
+        it('resolves with the receipt of the sent transaction', async function () {
+            const provider = fakeProvider();
+            provider.mined.add('0x01');
+            const watcher = new StuckTransactionWatcher(provider, { pollInterval: 5 });
+
+            const { receipt, hash } = await watcher.waitForReceipt(tx, '0x01', async () => '0x02');
+            expect(hash).to.equal('0x01');
+            expect(receipt.blockNumber).to.equal(1);
+        });
+
+        it('replaces a stuck transaction and resolves with the replacement', async function () {
+            const provider = fakeProvider();
+            const replaced = [];
+            const watcher = new StuckTransactionWatcher(provider, { stuckAfter: 10, pollInterval: 5, maxWait: 5000 });
+            const replace = async bumped => {
+                provider.mined.add('0x02');
+                return '0x02';
+            };
+
+            const { hash, chain } = await watcher.waitForReceipt(tx, '0x01', replace, replacement => replaced.push(replacement));
+            expect(hash).to.equal('0x02');
+            expect(chain.map(entry => entry.hash)).to.deep.equal(['0x01', '0x02']);
+            expect(replaced[0].tx.maxFeePerGas.toString()).to.equal(gwei('11.5').toString());
+        });
+
+        it('keeps waiting on every transaction of a chain sent before', async function () {
+            const provider = fakeProvider();
+            provider.mined.add('0x01');
+            const watcher = new StuckTransactionWatcher(provider, { pollInterval: 5 });
+            const bumped = watcher.bumpFees(tx);
+            let replacements = 0;
+
+            const { hash } = await watcher.waitForReceipt(bumped, [{ hash: '0x01', tx }, { hash: '0x02', tx: bumped }], async () => {
+                replacements++;
+                return '0x03';
+            });
+            expect(hash).to.equal('0x01');
+            expect(replacements).to.equal(0);
+        });
+
+        it('gives up with TX_NOT_MINED after maxWait', async function () {
+            const watcher = new StuckTransactionWatcher(fakeProvider(), { stuckAfter: 60000, pollInterval: 5, maxWait: 50 });
+            const startedAt = Date.now();
+
+            const error = await watcher.waitForReceipt(tx, '0x01', async () => '0x02').then(() => null, caught => caught);
+            expect(error).to.be.an('error');
+            expect(error.code).to.equal('TX_NOT_MINED');
+            expect(error.hash).to.equal('0x01');
+            expect(Date.now() - startedAt).to.be.below(1000);
+        });
+
+        it('gives up with TX_NOT_MINED when fees are stuck at the ceiling', async function () {
+            const watcher = new StuckTransactionWatcher(fakeProvider(), { stuckAfter: 10, pollInterval: 5, maxWait: 100, feeCeiling: gwei(10) });
+            let replacements = 0;
+
+            const error = await watcher.waitForReceipt(tx, '0x01', async () => {
+                replacements++;
+                return '0x02';
+            }).then(() => null, caught => caught);
+            expect(error.code).to.equal('TX_NOT_MINED');
+            expect(replacements).to.equal(0);
+            expect(error.chain).to.have.lengthOf(1);
+        });
+
+        it('reports the newest replacement when it gives up', async function () {
+            const watcher = new StuckTransactionWatcher(fakeProvider(), { stuckAfter: 10, pollInterval: 5, maxWait: 100, feeCeiling: gwei(12) });
+            const hashes = ['0x02', '0x03'];
+
+            const error = await watcher.waitForReceipt(tx, '0x01', async () => hashes.shift()).then(() => null, caught => caught);
+            expect(error.code).to.equal('TX_NOT_MINED');
+            expect(error.hash).to.equal('0x03');
+            // 10 gwei bumped to 11.5, then capped at 12, then no further
+            expect(error.chain.map(entry => entry.hash)).to.deep.equal(['0x01', '0x02', '0x03']);
+        });
+    });
+
+    describe('bumpFees', function () {
+        it('caps raised fees at the ceiling', function () {
+            const watcher = new StuckTransactionWatcher(null, { bumpPercent: 50, feeCeiling: gwei(12) });
+            const bumped = watcher.bumpFees(tx);
+
+            expect(bumped.maxFeePerGas.toString()).to.equal(gwei(12).toString());
+            expect(bumped.maxPriorityFeePerGas.toString()).to.equal(gwei('1.5').toString());
+            expect(watcher.bumpFees(bumped)).to.equal(null);
+        });
+    });
+});
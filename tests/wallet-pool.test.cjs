@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { WalletPool, WALLET_STATUS } = require('../scripts/relay/wallet-pool.cjs');
+
+const ether = value => ethers.utils.parseEther(String(value));
+
+// Just enough of an ethers Signer for the pool and its nonce managers
+function fakeSigner(address, balance) {
+    const signer = {
+        balance: ether(balance),
+        sent: [],
+        getAddress: async () => address,
+        getBalance: async () => signer.balance,
+        getTransactionCount: async () => 0,
+        sendTransaction: async tx => {
+            if (signer.failSends) throw new Error('insufficient funds for gas');
+            signer.sent.push(tx);
+            return { hash: ethers.utils.id(`${address}:${tx.nonce}`) };
+        },
+        provider: { getTransactionReceipt: async () => null }
+    };
+    return signer;
+}
+
+describe('WalletPool', function () {
+    let pool;
+
+    afterEach(function () {
+        if (pool) pool.stop();
+        pool = null;
+    });
+
+    async function startPool(balances, options = {}) {
+        const signers = balances.map((balance, i) => fakeSigner(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20), balance));
+        pool = new WalletPool(signers, { refreshInterval: 60000, ...options });
+        await pool.start();
+        return signers;
+    }
+
+    describe('acquire', function () {
+        it('picks the wallet with fewest transactions in flight', async function () {
+            await startPool(['1', '1']);
+            const [first, second] = pool.members;
+            await first.nonceManager.acquire();
+
+            expect(pool.acquire(ether('0.1'))).to.equal(second);
+        });
+
+        it('breaks ties by the balance left after reservations', async function () {
+            await startPool(['1', '2']);
+            const [first, second] = pool.members;
+
+            expect(pool.acquire(ether('1.5'))).to.equal(second);
+            expect(pool.acquire(ether('0.1'))).to.equal(first);
+        });
+
+        it('skips wallets that cannot cover the cost or are out of rotation', async function () {
+            await startPool(['0.01', '1', '5'], { minBalance: ether('0.05') });
+            const [drained, , rich] = pool.members;
+            expect(drained.status).to.equal(WALLET_STATUS.DRAINED);
+
+            expect(pool.acquire(ether('2'))).to.equal(rich);
+        });
+
+        it('fails with NO_WALLET_AVAILABLE when nothing can cover the cost', async function () {
+            await startPool(['1']);
+            pool.acquire(ether('0.8'));
+
+            expect(() => pool.acquire(ether('0.5'))).to.throw().with.property('code', 'NO_WALLET_AVAILABLE');
+        });
+    });
+
+    describe('release', function () {
+        it('frees the reserved balance', async function () {
+            await startPool(['1']);
+            const member = pool.acquire(ether('0.8'));
+            pool.release(member, ether('0.8'));
+
+            expect(member.reserved.toString()).to.equal('0');
+            expect(pool.acquire(ether('0.8'))).to.equal(member);
+        });
+
+        it('never leaves a negative reservation', async function () {
+            await startPool(['1']);
+            const member = pool.acquire(ether('0.2'));
+            pool.release(member, ether('0.2'));
+            pool.release(member, ether('0.2'));
+
+            expect(member.reserved.toString()).to.equal('0');
+        });
+    });
+
+    describe('alerts', function () {
+        it('reports wallets taken out of rotation', async function () {
+            const alerts = [];
+            await startPool(['0.01', '1'], { minBalance: ether('0.05'), onAlert: alert => alerts.push(alert) });
+
+            expect(alerts).to.have.lengthOf(1);
+            expect(alerts[0]).to.include({ type: 'out-of-rotation', address: pool.members[0].address, status: WALLET_STATUS.DRAINED });
+        });
+
+        it('reports top-ups that no wallet can pay for', async function () {
+            const alerts = [];
+            await startPool(['0.01', '0.3'], {
+                minBalance: ether('0.05'),
+                targetBalance: ether('0.2'),
+                onAlert: alert => alerts.push(alert)
+            });
+
+            expect(alerts.map(alert => alert.type)).to.deep.equal(['out-of-rotation', 'top-up-unavailable']);
+        });
+
+        it('reports top-ups that fail to send', async function () {
+            const alerts = [];
+            const signers = [fakeSigner('0x0000000000000000000000000000000000000001', '0.01'), fakeSigner('0x0000000000000000000000000000000000000002', '5')];
+            signers[1].failSends = true;
+            pool = new WalletPool(signers, {
+                minBalance: ether('0.05'),
+                targetBalance: ether('0.2'),
+                refreshInterval: 60000,
+                onAlert: alert => alerts.push(alert)
+            });
+            await pool.start();
+
+            expect(alerts.map(alert => alert.type)).to.deep.equal(['out-of-rotation', 'top-up-failed']);
+            expect(alerts[1].reason).to.include('insufficient funds');
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { RelayWorkQueue } = require('../scripts/relay/work-queue.cjs');
+
+describe('RelayWorkQueue', function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'work-queue-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createQueue = worker => new RelayWorkQueue(worker, { filePath: path.join(dir, 'queue.json') });
+
+    describe('retry', function () {
+        it('frees the slot of a running task until its retry is due', async function () {
+            const started = [];
+            const queue = createQueue(async task => {
+                started.push(task.id);
+                if (task.id === 'a' && started.length === 1) {
+                    queue.retry({ id: 'a', escalateFees: true }, 50);
+                }
+            });
+            queue.push({ id: 'a' });
+            queue.push({ id: 'b' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(started).to.deep.equal(['a', 'b']);
+            expect(queue.depth()).to.equal(1);
+            await new Promise(resolve => setTimeout(resolve, 80));
+            expect(started).to.deep.equal(['a', 'b', 'a']);
+            expect(queue.depth()).to.equal(0);
+        });
+
+        it('keeps a waiting retry on disk for the next start', async function () {
+            const queue = createQueue(async () => {
+                queue.retry({ id: 'a', escalateFees: true }, 60000);
+            });
+            queue.push({ id: 'a' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            queue.pause();
+
+            const restored = createQueue(async () => {});
+            expect(restored.tasks.get('a')).to.include({ escalateFees: true });
+            expect(restored.tasks.get('a').notBefore).to.be.above(Date.now());
+            queue.cancel('a');
+        });
+    });
+
+    describe('cancel', function () {
+        it('drops a task that has not started yet', async function () {
+            const started = [];
+            let finish;
+            const queue = createQueue(task => {
+                started.push(task.id);
+                return new Promise(resolve => { finish = resolve; });
+            });
+            queue.push({ id: 'a' });
+            queue.push({ id: 'b' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(queue.cancel('b')).to.equal(true);
+            finish();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(started).to.deep.equal(['a']);
+            expect(queue.depth()).to.equal(0);
+        });
+
+        it('leaves a running task alone so its id cannot be queued twice', async function () {
+            let finish;
+            const queue = createQueue(() => new Promise(resolve => { finish = resolve; }));
+            queue.push({ id: 'a' });
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(queue.cancel('a')).to.equal(false);
+            expect(queue.push({ id: 'a' })).to.equal(false);
+            finish();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(queue.depth()).to.equal(0);
+        });
+
+        it('returns false for an unknown task', function () {
+            expect(createQueue(async () => {}).cancel('a')).to.equal(false);
+        });
+    });
+});